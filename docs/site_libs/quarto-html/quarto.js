@@ -43,31 +43,6 @@ window.document.addEventListener("DOMContentLoaded", function (_event) {
   const removeAllActive = () =>
     [...Array(tocLinks.length).keys()].forEach((link) => removeActive(link));
 
-  // activate the anchor for a section associated with this TOC entry
-  tocLinks.forEach((link) => {
-    link.addEventListener("click", () => {
-      if (link.href.indexOf("#") !== -1) {
-        const anchor = link.href.split("#")[1];
-        const heading = window.document.querySelector(
-          `[data-anchor-id=${anchor}]`
-        );
-        if (heading) {
-          // Add the class
-          heading.classList.add("reveal-anchorjs-link");
-
-          // function to show the anchor
-          const handleMouseout = () => {
-            heading.classList.remove("reveal-anchorjs-link");
-            heading.removeEventListener("mouseout", handleMouseout);
-          };
-
-          // add a function to clear the anchor when the user mouses out of it
-          heading.addEventListener("mouseout", handleMouseout);
-        }
-      }
-    });
-  });
-
   const sections = tocLinks.map((link) => {
     const target = link.getAttribute("data-scroll-target");
     if (target.startsWith("#")) {
@@ -77,42 +52,175 @@ window.document.addEventListener("DOMContentLoaded", function (_event) {
     }
   });
 
-  const sectionMargin = 200;
-  let currentActive = 0;
+  // The height of the fixed header, as measured by quarto-nav.js
+  const headerOffset = () => {
+    return window.quartoHeaderOffset ? window.quartoHeaderOffset() : 0;
+  };
+  // The part of it covering the page (none while headroom has hidden it)
+  const visibleHeaderOffset = () => {
+    return window.quartoVisibleHeaderOffset
+      ? window.quartoVisibleHeaderOffset()
+      : headerOffset();
+  };
+
+  // Scroll to a TOC entry's section ourselves so that it lands just below
+  // the fixed header, then record it in the URL and move focus to it
+  const prefersReducedMotion = () => {
+    return (
+      window.matchMedia !== undefined &&
+      window.matchMedia("(prefers-reduced-motion: reduce)").matches
+    );
+  };
+
+  const scrollToSection = (section) => {
+    const top =
+      section.getBoundingClientRect().top + window.pageYOffset - headerOffset();
+    window.scrollTo({
+      top: Math.max(top, 0),
+      behavior: prefersReducedMotion() ? "auto" : "smooth",
+    });
+  };
+
+  const focusSection = (section) => {
+    const heading = section.querySelector("h1, h2, h3, h4, h5, h6") || section;
+    if (!heading.hasAttribute("tabindex")) {
+      heading.setAttribute("tabindex", "-1");
+    }
+    heading.focus({ preventScroll: true });
+    return heading;
+  };
+
+  // activate the anchor for a section associated with this TOC entry
+  tocLinks.forEach((link, index) => {
+    link.addEventListener("click", (event) => {
+      const section = sections[index];
+      if (
+        !section ||
+        event.button !== 0 ||
+        event.altKey ||
+        event.ctrlKey ||
+        event.metaKey ||
+        event.shiftKey
+      ) {
+        // Leave new tabs and windows to the browser
+        return;
+      }
+      event.preventDefault();
+
+      scrollToSection(section);
+      const target = link.getAttribute("data-scroll-target");
+      if (target.startsWith("#")) {
+        window.history.replaceState(window.history.state, "", target);
+      }
+
+      const heading = focusSection(section);
+      // Add the class
+      heading.classList.add("reveal-anchorjs-link");
+
+      // function to show the anchor
+      const handleMouseout = () => {
+        heading.classList.remove("reveal-anchorjs-link");
+        heading.removeEventListener("mouseout", handleMouseout);
+      };
+
+      // add a function to clear the anchor when the user mouses out of it
+      heading.addEventListener("mouseout", handleMouseout);
+    });
+  });
+
+  // A TOC entry is active while its section crosses the activation line,
+  // which sits a margin below the visible part of the fixed header (the
+  // margin can be set with a data-scroll-spy-margin attribute on the TOC)
+  const kScrollSpyMargin = 100;
+  const activationLine = () => {
+    const margin = tocEl
+      ? parseFloat(tocEl.getAttribute("data-scroll-spy-margin"))
+      : NaN;
+    return visibleHeaderOffset() + (isNaN(margin) ? kScrollSpyMargin : margin);
+  };
+
+  let currentActive = -1;
   // track whether we've initialized state the first time
   let init = false;
 
+  const activateLink = (current) => {
+    if (current !== currentActive) {
+      removeAllActive();
+      currentActive = current;
+      makeActive(current);
+      walk(tocEl, 0);
+      if (init) {
+        window.dispatchEvent(sectionChanged);
+      }
+      init = true;
+    }
+  };
+
+  // The indexes of the sections crossing the activation line
+  const crossingSections = new Set();
+
   const updateActiveLink = () => {
-    // The index from bottom to top (e.g. reversed list)
-    let sectionIndex = -1;
+    if (sections.length === 0) {
+      return;
+    }
     if (
       window.innerHeight + window.pageYOffset >=
       window.document.body.offsetHeight
     ) {
-      sectionIndex = 0;
-    } else {
-      sectionIndex = [...sections].reverse().findIndex((section) => {
-        if (section) {
-          return window.pageYOffset >= section.offsetTop - sectionMargin;
-        } else {
-          return false;
-        }
-      });
+      // The last sections can't reach the activation line,
+      // so activate the last one once the page is scrolled to the bottom
+      activateLink(sections.length - 1);
+    } else if (crossingSections.size > 0) {
+      // Nested sections follow their parent, so prefer the last one
+      activateLink(Math.max(...crossingSections));
     }
-    if (sectionIndex > -1) {
-      const current = sections.length - sectionIndex - 1;
-      if (current !== currentActive) {
-        removeAllActive();
-        currentActive = current;
-        makeActive(current);
-        if (init) {
-          window.dispatchEvent(sectionChanged);
+  };
+
+  let sectionObserver = undefined;
+  const observeSections = () => {
+    if (sectionObserver) {
+      sectionObserver.disconnect();
+    }
+    crossingSections.clear();
+
+    // Observe a one pixel band at the activation line
+    const line = Math.round(activationLine());
+    const bottomMargin = Math.max(window.innerHeight - line - 1, 0);
+    sectionObserver = new window.IntersectionObserver(
+      (entries) => {
+        for (const entry of entries) {
+          const index = sections.indexOf(entry.target);
+          if (entry.isIntersecting) {
+            crossingSections.add(index);
+          } else {
+            crossingSections.delete(index);
+          }
         }
-        init = true;
+        updateActiveLink();
+      },
+      { rootMargin: `-${line}px 0px -${bottomMargin}px 0px` }
+    );
+    for (const section of sections) {
+      if (section) {
+        sectionObserver.observe(section);
       }
     }
   };
 
+  // Without IntersectionObserver, measure the sections as the page scrolls
+  const scanSections = () => {
+    const line = activationLine();
+    crossingSections.clear();
+    sections.forEach((section, index) => {
+      if (section) {
+        const rect = section.getBoundingClientRect();
+        if (rect.top <= line && rect.bottom > line) {
+          crossingSections.add(index);
+        }
+      }
+    });
+  };
+
   const inHiddenRegion = (top, bottom, hiddenRegions) => {
     for (const region of hiddenRegions) {
       if (top <= region.bottom && bottom >= region.top) {
@@ -123,6 +231,10 @@ window.document.addEventListener("DOMContentLoaded", function (_event) {
   };
 
   const categorySelector = "header.quarto-title-block .quarto-category";
+  // The category as written, which may differ from the text shown for it
+  const categoryValue = (categoryEl) => {
+    return categoryEl.getAttribute("data-category") || categoryEl.textContent;
+  };
   const activateCategories = (href) => {
     // Find any categories
     // Surround them with a link pointing back to:
@@ -130,7 +242,7 @@ window.document.addEventListener("DOMContentLoaded", function (_event) {
     try {
       const categoryEls = window.document.querySelectorAll(categorySelector);
       for (const categoryEl of categoryEls) {
-        const categoryText = categoryEl.textContent;
+        const categoryText = categoryValue(categoryEl);
         if (categoryText) {
           const link = `${href}#category=${encodeURIComponent(categoryText)}`;
           const linkEl = window.document.createElement("a");
@@ -148,6 +260,11 @@ window.document.addEventListener("DOMContentLoaded", function (_event) {
   function hasTitleCategories() {
     return window.document.querySelector(categorySelector) !== null;
   }
+  function getTitleCategories() {
+    return Array.from(window.document.querySelectorAll(categorySelector)).map(
+      categoryValue
+    );
+  }
 
   function offsetRelativeUrl(url) {
     const offset = getMeta("quarto:offset");
@@ -177,12 +294,21 @@ window.document.addEventListener("DOMContentLoaded", function (_event) {
     return "";
   }
 
-  async function findAndActivateCategories() {
+  // Fetch listings.json (once) and find the listings that contain this page
+  let containingListings = undefined;
+  function findContainingListings() {
+    if (containingListings === undefined) {
+      containingListings = fetchContainingListings();
+    }
+    return containingListings;
+  }
+
+  async function fetchContainingListings() {
     const currentPagePath = offsetAbsoluteUrl(window.location.href);
     const response = await fetch(offsetRelativeUrl("listings.json"));
     if (response.status == 200) {
       return response.json().then(function (listingPaths) {
-        const listingHrefs = [];
+        const listings = [];
         for (const listingPath of listingPaths) {
           const pathWithoutLeadingSlash = listingPath.listing.substring(1);
           for (const item of listingPath.items) {
@@ -197,44 +323,493 @@ window.document.addEventListener("DOMContentLoaded", function (_event) {
               const relative = offsetRelativeUrl(pathWithoutLeadingSlash);
               const baseUrl = window.location;
               const resolvedPath = new URL(relative, baseUrl);
-              listingHrefs.push(resolvedPath.pathname);
+              listings.push({
+                href: resolvedPath.pathname,
+                items: listingPath.items,
+                item,
+              });
               break;
             }
           }
         }
+        return listings;
+      });
+    } else {
+      return [];
+    }
+  }
 
-        // Look up the tree for a nearby linting and use that if we find one
-        const nearestListing = findNearestParentListing(
-          offsetAbsoluteUrl(window.location.pathname),
-          listingHrefs
-        );
-        if (nearestListing) {
-          activateCategories(nearestListing);
-        } else {
-          // See if the referrer is a listing page for this item
-          const referredRelativePath = offsetAbsoluteUrl(document.referrer);
-          const referrerListing = listingHrefs.find((listingHref) => {
-            const isListingReferrer =
-              listingHref === referredRelativePath ||
-              listingHref === referredRelativePath + "index.html";
-            return isListingReferrer;
-          });
+  // Choose which of the listings containing this page to use
+  function resolveListing(listings) {
+    const listingHrefs = listings.map((listing) => listing.href);
 
-          if (referrerListing) {
-            // Try to use the referrer if possible
-            activateCategories(referrerListing);
-          } else if (listingHrefs.length > 0) {
-            // Otherwise, just fall back to the first listing
-            activateCategories(listingHrefs[0]);
-          }
-        }
+    // Look up the tree for a nearby linting and use that if we find one
+    let listingHref = findNearestParentListing(
+      offsetAbsoluteUrl(window.location.pathname),
+      listingHrefs
+    );
+    if (!listingHref) {
+      // See if the referrer is a listing page for this item
+      const referredRelativePath = offsetAbsoluteUrl(document.referrer);
+      const referrerListing = listingHrefs.find((listingHref) => {
+        const isListingReferrer =
+          listingHref === referredRelativePath ||
+          listingHref === referredRelativePath + "index.html";
+        return isListingReferrer;
       });
+
+      // Try to use the referrer if possible, otherwise
+      // just fall back to the first listing
+      listingHref = referrerListing || listingHrefs[0];
+    }
+    return listings.find((listing) => listing.href === listingHref);
+  }
+
+  async function findListing() {
+    const listings = await findContainingListings();
+    return resolveListing(listings);
+  }
+
+  async function findAndActivateCategories() {
+    const listing = await findListing();
+    if (listing) {
+      activateCategories(listing.href);
     }
   }
   if (hasTitleCategories()) {
     findAndActivateCategories();
   }
 
+  // Read the title and text of each page from search.json (once)
+  let searchDocuments = undefined;
+  function findSearchDocuments() {
+    if (searchDocuments === undefined) {
+      searchDocuments = fetchSearchDocuments();
+    }
+    return searchDocuments;
+  }
+
+  async function fetchSearchDocuments() {
+    const documents = new Map();
+    const response = await fetch(offsetRelativeUrl("search.json"));
+    if (response.status == 200) {
+      const searchDocs = await response.json();
+      for (const searchDoc of searchDocs) {
+        // Sections of a page have a hash in their href
+        if (!searchDoc.href.includes("#")) {
+          documents.set("/" + searchDoc.href, searchDoc);
+        }
+      }
+    }
+    return documents;
+  }
+
+  // Fetch and parse another page of the site
+  async function fetchDocument(href) {
+    const response = await fetch(href);
+    if (response.status == 200) {
+      const parser = new window.DOMParser();
+      return parser.parseFromString(await response.text(), "text/html");
+    } else {
+      return undefined;
+    }
+  }
+
+  // Read the categories, date and description of each item from the
+  // listing page itself (once), since listings.json only records their order
+  const listingMetadata = new Map();
+  function findListingMetadata(listing) {
+    if (!listingMetadata.has(listing.href)) {
+      listingMetadata.set(listing.href, fetchListingMetadata(listing));
+    }
+    return listingMetadata.get(listing.href);
+  }
+
+  async function fetchListingMetadata(listing) {
+    const metadata = new Map();
+    const listingDoc = await fetchDocument(listing.href);
+    if (listingDoc) {
+      const listingUrl = new URL(listing.href, window.location);
+      const itemEls = listingDoc.querySelectorAll(".list [data-index]");
+      for (const itemEl of itemEls) {
+        const linkEl = itemEl.querySelector("a[href]");
+        if (!linkEl) {
+          continue;
+        }
+        const itemUrl = new URL(linkEl.getAttribute("href"), listingUrl);
+        const categories = itemEl.getAttribute("data-categories");
+        const date = parseFloat(itemEl.getAttribute("data-listing-date-sort"));
+        const dateEl = itemEl.querySelector(".listing-date");
+        const descriptionEl = itemEl.querySelector(".listing-description");
+        metadata.set(offsetAbsoluteUrl(itemUrl.href), {
+          categories: categories ? categories.split(",") : [],
+          date: isNaN(date) ? undefined : date,
+          dateText: dateEl ? dateEl.textContent.trim() : "",
+          description: descriptionEl ? descriptionEl.textContent.trim() : "",
+        });
+      }
+    }
+    return metadata;
+  }
+
+  const kRelatedPostCount = 3;
+  const kRelatedDescriptionLength = 160;
+  async function showRelatedPosts() {
+    const contentEl = window.document.getElementById("quarto-document-content");
+    const listing = await findListing();
+    if (!contentEl || !listing) {
+      return;
+    }
+
+    const [metadata, documents] = await Promise.all([
+      findListingMetadata(listing),
+      findSearchDocuments(),
+    ]);
+
+    // Prefer the categories in the title block, they're always current
+    const current = metadata.get(listing.item) || {};
+    const titleCategories = getTitleCategories();
+    const currentCategories =
+      titleCategories.length > 0 ? titleCategories : current.categories || [];
+
+    // Rank the other items by the categories they share with this page,
+    // then by how close they were published, then by listing order
+    const related = listing.items
+      .filter((item) => item !== listing.item)
+      .map((item, order) => {
+        const itemMetadata = metadata.get(item) || {};
+        const shared = (itemMetadata.categories || []).filter((category) => {
+          return currentCategories.includes(category);
+        }).length;
+        const distance =
+          itemMetadata.date !== undefined && current.date !== undefined
+            ? Math.abs(itemMetadata.date - current.date)
+            : Infinity;
+        return { item, order, shared, distance, metadata: itemMetadata };
+      })
+      .sort((a, b) => {
+        if (a.shared !== b.shared) {
+          return b.shared - a.shared;
+        } else if (a.distance !== b.distance) {
+          return a.distance < b.distance ? -1 : 1;
+        } else {
+          return a.order - b.order;
+        }
+      })
+      .slice(0, kRelatedPostCount);
+    if (related.length === 0) {
+      return;
+    }
+
+    const relatedEl = window.document.createElement("section");
+    relatedEl.id = "quarto-related-posts";
+    relatedEl.classList.add("quarto-related-posts");
+    const titleEl = window.document.createElement("h2");
+    titleEl.classList.add("quarto-related-posts-title");
+    titleEl.append("Related posts");
+    relatedEl.appendChild(titleEl);
+
+    const listEl = window.document.createElement("ul");
+    for (const relatedPost of related) {
+      const searchDoc = documents.get(relatedPost.item);
+      const itemEl = window.document.createElement("li");
+      const linkEl = window.document.createElement("a");
+      linkEl.setAttribute(
+        "href",
+        offsetRelativeUrl(relatedPost.item.substring(1))
+      );
+      linkEl.append(searchDoc ? searchDoc.title : relatedPost.item);
+      itemEl.appendChild(linkEl);
+
+      if (relatedPost.metadata.dateText) {
+        const dateEl = window.document.createElement("span");
+        dateEl.classList.add("quarto-related-post-date");
+        dateEl.append(relatedPost.metadata.dateText);
+        itemEl.appendChild(dateEl);
+      }
+
+      // Fall back to the start of the post for a description
+      let description = relatedPost.metadata.description;
+      if (!description && searchDoc && searchDoc.text) {
+        description = searchDoc.text.replace(/\s+/g, " ").trim();
+        if (description.length > kRelatedDescriptionLength) {
+          description =
+            description.substring(0, kRelatedDescriptionLength).trim() + "…";
+        }
+      }
+      if (description) {
+        const descriptionEl = window.document.createElement("p");
+        descriptionEl.classList.add("quarto-related-post-description");
+        descriptionEl.append(description);
+        itemEl.appendChild(descriptionEl);
+      }
+      listEl.appendChild(itemEl);
+    }
+    relatedEl.appendChild(listEl);
+    contentEl.appendChild(relatedEl);
+  }
+
+  // Related posts are only needed at the end of a post, so the listing
+  // and search data they use are loaded as the reader nears the end (or
+  // once the browser is idle, if it can't observe that)
+  const kRelatedPostsMargin = "0px 0px 800px 0px";
+  const whenNearContentEnd = (callback) => {
+    const contentEl = window.document.getElementById("quarto-document-content");
+    if (!contentEl) {
+      return;
+    }
+    if (window.IntersectionObserver) {
+      const endEl = window.document.createElement("div");
+      endEl.classList.add("quarto-document-content-end");
+      contentEl.appendChild(endEl);
+      const observer = new window.IntersectionObserver(
+        (entries) => {
+          if (entries.some((entry) => entry.isIntersecting)) {
+            observer.disconnect();
+            endEl.remove();
+            callback();
+          }
+        },
+        { rootMargin: kRelatedPostsMargin }
+      );
+      observer.observe(endEl);
+    } else {
+      const whenIdle =
+        window.requestIdleCallback || ((idle) => setTimeout(idle, 1));
+      whenIdle(callback);
+    }
+  };
+  whenNearContentEnd(() => {
+    showRelatedPosts().catch(() => {
+      // Related posts are optional, ignore errors
+    });
+  });
+
+  // Link to the neighbouring posts in the listing this page belongs to
+  async function showPageNavigation() {
+    const contentEl = window.document.getElementById("quarto-document-content");
+    const listing = await findListing();
+    if (
+      !contentEl ||
+      !listing ||
+      window.document.querySelector(".page-navigation")
+    ) {
+      return;
+    }
+
+    // Listings are sorted newest first, so the previous (older) post
+    // follows this one in the listing
+    const index = listing.items.indexOf(listing.item);
+    const previousItem = listing.items[index + 1];
+    const nextItem = listing.items[index - 1];
+    if (!previousItem && !nextItem) {
+      return;
+    }
+    const documents = await findSearchDocuments();
+
+    const makeNavPage = (className, item, iconClass, rel) => {
+      const pageEl = window.document.createElement("div");
+      pageEl.classList.add("nav-page", className);
+      if (item) {
+        const searchDoc = documents.get(item);
+        const linkEl = window.document.createElement("a");
+        linkEl.setAttribute("href", offsetRelativeUrl(item.substring(1)));
+        linkEl.setAttribute("rel", rel);
+        linkEl.classList.add("pagination-link");
+        const iconEl = window.document.createElement("i");
+        iconEl.classList.add("bi", iconClass);
+        const textEl = window.document.createElement("span");
+        textEl.classList.add("nav-page-text");
+        textEl.append(searchDoc ? searchDoc.title : item);
+        if (rel === "prev") {
+          linkEl.append(iconEl, textEl);
+        } else {
+          linkEl.append(textEl, iconEl);
+        }
+        pageEl.appendChild(linkEl);
+      }
+      return pageEl;
+    };
+
+    const navEl = window.document.createElement("nav");
+    navEl.classList.add("page-navigation");
+    navEl.setAttribute("aria-label", "Posts");
+    navEl.append(
+      makeNavPage(
+        "nav-page-previous",
+        previousItem,
+        "bi-arrow-left-short",
+        "prev"
+      ),
+      makeNavPage("nav-page-next", nextItem, "bi-arrow-right-short", "next")
+    );
+    contentEl.after(navEl);
+
+    // Whether the arrow keys would scroll something sideways, either the
+    // page itself or a wide element (code, a dataframe) the reader is in
+    const scrollsHorizontally = (el) => {
+      if (
+        window.document.documentElement.scrollWidth >
+        window.document.documentElement.clientWidth
+      ) {
+        return true;
+      }
+      for (; el && el.nodeType === Node.ELEMENT_NODE; el = el.parentElement) {
+        const overflowX = window.getComputedStyle(el).overflowX;
+        if (
+          (overflowX === "auto" || overflowX === "scroll") &&
+          el.scrollWidth > el.clientWidth
+        ) {
+          return true;
+        }
+      }
+      return false;
+    };
+
+    // Clicking a scrollable element that can't take focus still directs
+    // the arrow keys to it, so remember where the reader last clicked
+    let pointerEl = undefined;
+    window.document.addEventListener("mousedown", (event) => {
+      pointerEl = event.target;
+    });
+
+    // Use the left and right arrow keys to move between posts, unless
+    // the reader is typing or the key is being used for something else
+    window.document.addEventListener("keydown", (event) => {
+      if (
+        (event.key !== "ArrowLeft" && event.key !== "ArrowRight") ||
+        event.defaultPrevented ||
+        event.altKey ||
+        event.ctrlKey ||
+        event.metaKey ||
+        event.shiftKey
+      ) {
+        return;
+      }
+      const targetEl = event.target;
+      if (
+        targetEl.isContentEditable ||
+        ["INPUT", "TEXTAREA", "SELECT"].includes(targetEl.tagName) ||
+        scrollsHorizontally(targetEl) ||
+        scrollsHorizontally(pointerEl)
+      ) {
+        return;
+      }
+
+      const linkEl = navEl.querySelector(
+        event.key === "ArrowLeft" ? ".nav-page-previous a" : ".nav-page-next a"
+      );
+      if (linkEl) {
+        event.preventDefault();
+        linkEl.click();
+      }
+    });
+  }
+  showPageNavigation().catch(() => {
+    // Page navigation is optional, ignore errors
+  });
+
+  // A post joins a series with a `series:` category, which the listing
+  // records for every post (so the other parts can be found without
+  // loading each post)
+  const kSeriesCategoryPrefix = "series:";
+  function findSeriesName(categories) {
+    const seriesCategory = categories.find((category) => {
+      return category.startsWith(kSeriesCategoryPrefix);
+    });
+    return seriesCategory
+      ? seriesCategory.substring(kSeriesCategoryPrefix.length).trim()
+      : undefined;
+  }
+
+  // Readers see a series category as just the name of the series
+  for (const categoryEl of window.document.querySelectorAll(categorySelector)) {
+    const category = categoryEl.textContent.trim();
+    const seriesName = findSeriesName([category]);
+    if (seriesName) {
+      categoryEl.setAttribute("data-category", category);
+      categoryEl.textContent = seriesName;
+    }
+  }
+
+  async function showSeries() {
+    const contentEl = window.document.getElementById("quarto-document-content");
+    const seriesName = findSeriesName(getTitleCategories());
+    if (!contentEl || !seriesName) {
+      return;
+    }
+
+    const listing = await findListing();
+    if (!listing) {
+      return;
+    }
+    const [metadata, documents] = await Promise.all([
+      findListingMetadata(listing),
+      findSearchDocuments(),
+    ]);
+
+    const isPart = (item) => {
+      const itemMetadata = metadata.get(item) || {};
+      return (
+        item === listing.item ||
+        findSeriesName(itemMetadata.categories || []) === seriesName
+      );
+    };
+
+    // Number the parts in the order they were published
+    const parts = listing.items
+      .filter(isPart)
+      .map((item, order) => {
+        const itemMetadata = metadata.get(item) || {};
+        return { item, order, date: itemMetadata.date };
+      })
+      .sort((a, b) => {
+        if (a.date !== undefined && b.date !== undefined && a.date !== b.date) {
+          return a.date - b.date;
+        } else {
+          // Listings show the newest items first
+          return b.order - a.order;
+        }
+      });
+    if (parts.length < 2) {
+      return;
+    }
+
+    const seriesEl = window.document.createElement("nav");
+    seriesEl.classList.add("quarto-series");
+    seriesEl.setAttribute("aria-label", `Series: ${seriesName}`);
+    const titleEl = window.document.createElement("div");
+    titleEl.classList.add("quarto-series-title");
+    const currentIndex = parts.findIndex((part) => part.item === listing.item);
+    titleEl.append(
+      `${seriesName} (part ${currentIndex + 1} of ${parts.length})`
+    );
+    seriesEl.appendChild(titleEl);
+
+    const listEl = window.document.createElement("ol");
+    for (const part of parts) {
+      const searchDoc = documents.get(part.item);
+      const title = searchDoc ? searchDoc.title : part.item;
+      const partEl = window.document.createElement("li");
+      if (part.item === listing.item) {
+        partEl.classList.add("active");
+        partEl.setAttribute("aria-current", "page");
+        partEl.append(title);
+      } else {
+        const linkEl = window.document.createElement("a");
+        linkEl.setAttribute("href", offsetRelativeUrl(part.item.substring(1)));
+        linkEl.append(title);
+        partEl.appendChild(linkEl);
+      }
+      listEl.appendChild(partEl);
+    }
+    seriesEl.appendChild(listEl);
+    contentEl.prepend(seriesEl);
+  }
+  showSeries().catch(() => {
+    // The series navigator is optional, ignore errors
+  });
+
   const findNearestParentListing = (href, listingHrefs) => {
     if (!href || !listingHrefs) {
       return undefined;
@@ -586,6 +1161,7 @@ window.document.addEventListener("DOMContentLoaded", function (_event) {
 
   // Walk the TOC and collapse/expand nodes
   // Nodes are expanded if:
+  // - the reader has expanded them (or collapsed them if not)
   // - they are top level
   // - they have children that are 'active' links
   // - they are directly below an link that is 'active'
@@ -609,11 +1185,20 @@ window.document.addEventListener("DOMContentLoaded", function (_event) {
 
     // Process the collapse state if this is an UL
     if (el.tagName === "UL") {
-      if (depth === 1 || hasActiveChild || prevSiblingIsActiveLink(el)) {
+      const override = getTocOverride(el);
+      const expanded =
+        override !== undefined
+          ? override
+          : depth === 1 || hasActiveChild || prevSiblingIsActiveLink(el);
+      if (expanded) {
         el.classList.remove("collapse");
       } else {
         el.classList.add("collapse");
       }
+      const toggleEl = tocToggles.get(el);
+      if (toggleEl) {
+        toggleEl.setAttribute("aria-expanded", expanded ? "true" : "false");
+      }
 
       // untick depth when we leave a UL
       depth = depth - 1;
@@ -621,21 +1206,486 @@ window.document.addEventListener("DOMContentLoaded", function (_event) {
     return hasActiveChild || isActiveNode;
   };
 
+  // Readers can expand and collapse TOC entries themselves, which takes
+  // precedence over following the active link and is kept for each page
+  // (for the pages most recently changed)
+  const kTocStateKey = "quarto-toc-state";
+  const kTocStateMaxCount = 50;
+  const tocStatePath = window.location.pathname;
+
+  const setTocState = (state) => {
+    if (window.location.protocol !== "file:") {
+      window.localStorage.setItem(kTocStateKey, JSON.stringify(state));
+    } else {
+      localTocState = state;
+    }
+  };
+
+  const getTocState = () => {
+    if (window.location.protocol !== "file:") {
+      try {
+        const state = JSON.parse(window.localStorage.getItem(kTocStateKey));
+        return state && typeof state === "object" ? state : {};
+      } catch {
+        return {};
+      }
+    } else {
+      return localTocState;
+    }
+  };
+  let localTocState = {};
+
+  // Overrides are keyed by the target of the link that owns the list
+  let tocOverrides = getTocState()[tocStatePath] || {};
+  const tocOverrideKey = (ulEl) => {
+    const linkEl = ulEl.previousElementSibling;
+    return linkEl && linkEl.tagName === "A"
+      ? linkEl.getAttribute("data-scroll-target")
+      : undefined;
+  };
+
+  const getTocOverride = (ulEl) => {
+    const key = tocOverrideKey(ulEl);
+    return key ? tocOverrides[key] : undefined;
+  };
+
+  const setTocOverrides = (overrides) => {
+    tocOverrides = overrides;
+    const state = getTocState();
+    // Pages are kept in the order they were changed, most recent last
+    delete state[tocStatePath];
+    if (Object.keys(overrides).length > 0) {
+      state[tocStatePath] = overrides;
+    }
+    const paths = Object.keys(state);
+    for (const path of paths.slice(0, paths.length - kTocStateMaxCount)) {
+      delete state[path];
+    }
+    setTocState(state);
+    walk(tocEl, 0);
+  };
+
+  const tocToggles = new Map();
+  if (tocEl) {
+    const branchEls = tocEl.querySelectorAll("li > a + ul");
+    branchEls.forEach((ulEl, index) => {
+      const linkEl = ulEl.previousElementSibling;
+      if (!ulEl.id) {
+        ulEl.id = `quarto-toc-branch-${index}`;
+      }
+
+      // The toggle goes before the link to keep the list right after it
+      const toggleEl = window.document.createElement("button");
+      toggleEl.setAttribute("type", "button");
+      toggleEl.setAttribute("aria-controls", ulEl.id);
+      toggleEl.setAttribute("aria-label", `Toggle ${linkEl.textContent}`);
+      toggleEl.classList.add("quarto-toc-toggle");
+      const iconEl = window.document.createElement("i");
+      iconEl.classList.add("bi", "bi-chevron-right");
+      toggleEl.appendChild(iconEl);
+      toggleEl.onclick = () => {
+        const key = tocOverrideKey(ulEl);
+        if (key) {
+          setTocOverrides({
+            ...tocOverrides,
+            [key]: ulEl.classList.contains("collapse"),
+          });
+        }
+      };
+      linkEl.before(toggleEl);
+      linkEl.parentElement.classList.add("quarto-toc-branch");
+      tocToggles.set(ulEl, toggleEl);
+    });
+
+    // Expand or collapse every entry at once
+    const tocTitleEl = tocEl.querySelector("#toc-title");
+    if (tocTitleEl && branchEls.length > 0) {
+      const setAllOverrides = (expanded) => {
+        const overrides = {};
+        for (const ulEl of branchEls) {
+          const key = tocOverrideKey(ulEl);
+          if (key) {
+            overrides[key] = expanded;
+          }
+        }
+        setTocOverrides(overrides);
+      };
+      const makeControlEl = (text, onClick) => {
+        const controlEl = window.document.createElement("button");
+        controlEl.setAttribute("type", "button");
+        controlEl.classList.add("btn", "btn-link", "btn-sm");
+        controlEl.append(text);
+        controlEl.onclick = onClick;
+        return controlEl;
+      };
+
+      const controlsEl = window.document.createElement("div");
+      controlsEl.classList.add("quarto-toc-controls");
+      controlsEl.append(
+        makeControlEl("Expand all", () => setAllOverrides(true)),
+        makeControlEl("Collapse all", () => setAllOverrides(false))
+      );
+      tocTitleEl.after(controlsEl);
+    }
+  }
+
+  // Show how far the reader is through the document (and each section
+  // of the TOC), along with an estimate of how long it takes to read
+  const kWordsPerMinute = 200;
+  const readingContentEl = window.document.getElementById(
+    "quarto-document-content"
+  );
+  const isReadingContent =
+    readingContentEl !== null &&
+    readingContentEl.querySelector(".quarto-listing") === null;
+
+  // Reading progress through an element, from when its top reaches the
+  // bottom of the header until its bottom reaches the bottom of the window
+  const readingProgress = (el) => {
+    const offset = headerOffset();
+    const rect = el.getBoundingClientRect();
+    const scrollable = rect.height - (window.innerHeight - offset);
+    if (scrollable <= 0) {
+      return rect.top <= offset ? 1 : 0;
+    }
+    return Math.min(Math.max((offset - rect.top) / scrollable, 0), 1);
+  };
+
+  let progressEl = null;
+  if (isReadingContent) {
+    // Sit the bar just below the fixed header (quarto-nav.js moves
+    // headroom targets along with the header as it is pinned and unpinned)
+    progressEl = window.document.createElement("div");
+    progressEl.id = "quarto-reading-progress";
+    progressEl.classList.add("quarto-reading-progress", "headroom-target");
+    progressEl.style.top = `${headerOffset()}px`;
+    progressEl.setAttribute("role", "progressbar");
+    progressEl.setAttribute("aria-label", "Reading progress");
+    progressEl.setAttribute("aria-valuemin", "0");
+    progressEl.setAttribute("aria-valuemax", "100");
+    const progressBarEl = window.document.createElement("div");
+    progressBarEl.classList.add("quarto-reading-progress-bar");
+    progressEl.appendChild(progressBarEl);
+    window.document.body.appendChild(progressEl);
+
+    // Add the reading time to the title block metadata
+    const titleMetaEl = window.document.querySelector(
+      "header .quarto-title-meta"
+    );
+    if (titleMetaEl) {
+      const words = readingContentEl.textContent
+        .split(/\s+/)
+        .filter((word) => word.length > 0).length;
+      const minutes = Math.max(1, Math.round(words / kWordsPerMinute));
+
+      const readingTimeEl = window.document.createElement("div");
+      readingTimeEl.classList.add("quarto-reading-time");
+      const headingEl = window.document.createElement("div");
+      headingEl.classList.add("quarto-title-meta-heading");
+      headingEl.append("Reading Time");
+      const contentsEl = window.document.createElement("div");
+      contentsEl.classList.add("quarto-title-meta-contents");
+      const textEl = window.document.createElement("p");
+      textEl.append(`${minutes} min`);
+      contentsEl.appendChild(textEl);
+      readingTimeEl.append(headingEl, contentsEl);
+      titleMetaEl.appendChild(readingTimeEl);
+    }
+  }
+
+  // Per section progress for the TOC links
+  const setSectionProgress = (index, progress) => {
+    const link = tocLinks[index];
+    link.style.setProperty(
+      "--quarto-section-progress",
+      `${Math.round(progress * 100)}%`
+    );
+    if (progress === 1) {
+      link.classList.add("quarto-section-read");
+    } else {
+      link.classList.remove("quarto-section-read");
+    }
+  };
+
+  // Only the sections on screen make progress as the page scrolls, so just
+  // those are measured. The others are settled as they leave the screen
+  // (read if they left above it, unread if below).
+  const onScreenSections = new Set();
+  let progressObserver = undefined;
+  if (isReadingContent && window.IntersectionObserver) {
+    progressObserver = new window.IntersectionObserver((entries) => {
+      for (const entry of entries) {
+        const index = sections.indexOf(entry.target);
+        if (entry.isIntersecting) {
+          onScreenSections.add(index);
+        } else {
+          onScreenSections.delete(index);
+          setSectionProgress(index, entry.boundingClientRect.top < 0 ? 1 : 0);
+        }
+      }
+      scheduleReadingProgress();
+    });
+    for (const section of sections) {
+      if (section) {
+        progressObserver.observe(section);
+      }
+    }
+  }
+
+  const updateReadingProgress = (allSections) => {
+    if (progressEl) {
+      const progress = Math.round(readingProgress(readingContentEl) * 100);
+      progressEl.firstElementChild.style.width = `${progress}%`;
+      progressEl.setAttribute("aria-valuenow", progress);
+    }
+
+    const indexes =
+      progressObserver && !allSections
+        ? onScreenSections
+        : sections.map((_section, index) => index);
+    for (const index of indexes) {
+      if (sections[index]) {
+        setSectionProgress(index, readingProgress(sections[index]));
+      }
+    }
+  };
+
+  // Batch the updates made while scrolling into one per frame
+  let readingProgressFrame = undefined;
+  const scheduleReadingProgress = () => {
+    if (readingProgressFrame === undefined) {
+      const requestFrame =
+        window.requestAnimationFrame ||
+        ((callback) => setTimeout(callback, 16));
+      readingProgressFrame = requestFrame(() => {
+        readingProgressFrame = undefined;
+        updateReadingProgress();
+      });
+    }
+  };
+
+  updateReadingProgress(true);
+  window.addEventListener("quarto-hrChanged", scheduleReadingProgress);
+  window.addEventListener("resize", throttle(scheduleReadingProgress, 10));
+
+  // Remember where the reader got to in each page and offer to take them
+  // back there when they return
+  const kReadingPositionsKey = "quarto-reading-positions";
+  const kReadingPositionMaxAge = 30 * 24 * 60 * 60 * 1000;
+  const kReadingPositionMaxCount = 50;
+  const kReadingPositionMinOffset = 400;
+  const readingPositionPath = window.location.pathname;
+
+  const setReadingPositions = (positions) => {
+    if (window.location.protocol !== "file:") {
+      window.localStorage.setItem(
+        kReadingPositionsKey,
+        JSON.stringify(positions)
+      );
+    } else {
+      localReadingPositions = positions;
+    }
+  };
+
+  const getReadingPositions = () => {
+    if (window.location.protocol !== "file:") {
+      try {
+        const positions = JSON.parse(
+          window.localStorage.getItem(kReadingPositionsKey)
+        );
+        return positions && typeof positions === "object" ? positions : {};
+      } catch {
+        return {};
+      }
+    } else {
+      return localReadingPositions;
+    }
+  };
+  let localReadingPositions = {};
+
+  // Forget positions that are old, keeping only the most recent pages
+  const cleanReadingPositions = () => {
+    const now = Date.now();
+    const positions = getReadingPositions();
+    const recent = Object.keys(positions)
+      .filter((path) => {
+        const position = positions[path];
+        return position && now - position.time < kReadingPositionMaxAge;
+      })
+      .sort((a, b) => positions[b].time - positions[a].time)
+      .slice(0, kReadingPositionMaxCount);
+    const cleaned = {};
+    for (const path of recent) {
+      cleaned[path] = positions[path];
+    }
+    setReadingPositions(cleaned);
+  };
+
+  const saveReadingPosition = () => {
+    // Near the top there is nothing new to resume, but keep any saved
+    // position (the reader may not have resumed it yet). Only dismissing
+    // the prompt or reading to the end clears it.
+    if (window.pageYOffset < kReadingPositionMinOffset) {
+      return;
+    }
+    const positions = getReadingPositions();
+    const finished = readingProgress(readingContentEl) === 1;
+    if (finished) {
+      delete positions[readingPositionPath];
+    } else {
+      const activeLink = tocLinks.find((link) =>
+        link.classList.contains("active")
+      );
+      positions[readingPositionPath] = {
+        section: activeLink
+          ? activeLink.getAttribute("data-scroll-target")
+          : undefined,
+        offset: window.pageYOffset,
+        time: Date.now(),
+      };
+    }
+    setReadingPositions(positions);
+  };
+
+  const clearReadingPosition = () => {
+    const positions = getReadingPositions();
+    delete positions[readingPositionPath];
+    setReadingPositions(positions);
+  };
+
+  const resumeReadingPosition = (position) => {
+    const sectionEl = position.section
+      ? sections[
+          tocLinks.findIndex((link) => {
+            return link.getAttribute("data-scroll-target") === position.section;
+          })
+        ]
+      : undefined;
+    // Prefer the exact offset while it is still within the same section
+    let top = position.offset;
+    if (sectionEl) {
+      const sectionTop =
+        sectionEl.getBoundingClientRect().top +
+        window.pageYOffset -
+        headerOffset();
+      const sectionBottom = sectionTop + sectionEl.offsetHeight;
+      if (top < sectionTop || top > sectionBottom) {
+        top = sectionTop;
+      }
+    }
+    window.scrollTo(0, top);
+  };
+
+  const showResumePrompt = (position) => {
+    const promptEl = window.document.createElement("div");
+    promptEl.classList.add(
+      "quarto-resume-prompt",
+      "alert",
+      "alert-primary",
+      "alert-dismissible"
+    );
+    promptEl.setAttribute("role", "status");
+
+    const textEl = window.document.createElement("span");
+    textEl.append("Resume where you left off");
+    const sectionIndex = tocLinks.findIndex((link) => {
+      return link.getAttribute("data-scroll-target") === position.section;
+    });
+    if (sectionIndex !== -1) {
+      const sectionTitleEl = window.document.createElement("em");
+      sectionTitleEl.append(tocLinks[sectionIndex].textContent.trim());
+      textEl.append(" in ", sectionTitleEl);
+    }
+    textEl.append("?");
+
+    // Once the reader has moved on their own, the prompt isn't needed
+    const dismissOnScroll = throttle(() => {
+      if (window.pageYOffset >= kReadingPositionMinOffset) {
+        dismissPrompt();
+      }
+    }, 50);
+    const dismissPrompt = () => {
+      promptEl.remove();
+      window.document.removeEventListener("scroll", dismissOnScroll);
+    };
+
+    const resumeEl = window.document.createElement("button");
+    resumeEl.setAttribute("type", "button");
+    resumeEl.classList.add("btn", "btn-sm", "btn-primary");
+    resumeEl.append("Resume");
+    resumeEl.onclick = () => {
+      dismissPrompt();
+      resumeReadingPosition(position);
+    };
+
+    const closeEl = window.document.createElement("button");
+    closeEl.setAttribute("type", "button");
+    closeEl.setAttribute("aria-label", "Dismiss");
+    closeEl.classList.add("btn-close");
+    closeEl.onclick = () => {
+      dismissPrompt();
+      clearReadingPosition();
+    };
+
+    promptEl.append(textEl, resumeEl, closeEl);
+    window.document.body.appendChild(promptEl);
+    window.document.addEventListener("scroll", dismissOnScroll);
+  };
+
+  if (isReadingContent) {
+    cleanReadingPositions();
+
+    // Only offer to resume if the reader isn't already headed somewhere
+    const position = getReadingPositions()[readingPositionPath];
+    if (
+      position &&
+      !window.location.hash &&
+      window.pageYOffset < kReadingPositionMinOffset
+    ) {
+      showResumePrompt(position);
+    }
+
+    window.addEventListener("quarto-sectionChanged", saveReadingPosition);
+    window.document.addEventListener(
+      "scroll",
+      throttle(saveReadingPosition, 500, true)
+    );
+    // Make sure the last position is kept when the reader leaves
+    window.addEventListener("pagehide", saveReadingPosition);
+    window.document.addEventListener("visibilitychange", () => {
+      if (window.document.visibilityState === "hidden") {
+        saveReadingPosition();
+      }
+    });
+  }
+
   // walk the TOC and expand / collapse any items that should be shown
 
   if (tocEl) {
     walk(tocEl, 0);
+    if (window.IntersectionObserver) {
+      observeSections();
+
+      // The activation line moves with the header
+      window.addEventListener("quarto-hrChanged", observeSections);
+      window.addEventListener("resize", throttle(observeSections, 50, true));
+    } else {
+      scanSections();
+    }
     updateActiveLink();
   }
 
-  // Throttle the scroll event and walk peridiocally
+  // Throttle the scroll event (the TOC is walked as the active link changes)
   window.document.addEventListener(
     "scroll",
     throttle(() => {
       if (tocEl) {
+        if (!sectionObserver) {
+          scanSections();
+        }
         updateActiveLink();
-        walk(tocEl, 0);
       }
+      scheduleReadingProgress();
       if (!isReaderMode()) {
         hideOverlappedSidebars();
       }
@@ -746,15 +1796,28 @@ window.addEventListener("pageshow", (_event) => {
   }
 });
 
-function throttle(func, wait) {
+// Pass trailing to also call func once more at the end of the wait
+// when it was called during it (so the final state isn't missed)
+function throttle(func, wait, trailing) {
   let waiting = false;
+  let pending = undefined;
   return function () {
     if (!waiting) {
       func.apply(this, arguments);
       waiting = true;
-      setTimeout(function () {
-        waiting = false;
-      }, wait);
+      const wake = function () {
+        if (pending) {
+          const [context, args] = pending;
+          pending = undefined;
+          func.apply(context, args);
+          setTimeout(wake, wait);
+        } else {
+          waiting = false;
+        }
+      };
+      setTimeout(wake, wait);
+    } else if (trailing) {
+      pending = [this, arguments];
     }
   };
 }
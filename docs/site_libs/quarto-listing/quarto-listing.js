@@ -1,30 +1,211 @@
 const kProgressiveAttr = "data-src";
 let categoriesLoaded = false;
+let listingsLoaded = false;
+
+// Listings dispatch these events (from the listing element, bubbling up to
+// the document and window) as their state changes:
+//   quarto-listing-category-changed - the selected categories changed
+//   quarto-listing-filtered         - the listing was filtered
+//   quarto-listing-page-changed     - a different page is shown
+//   quarto-listing-sorted           - the listing was sorted
+//   quarto-listing-view-changed     - the listing view changed
+// The event detail describes the listing's state after the change, e.g.
+//   {
+//     listingId: "listing-listing",
+//     categories: ["ethics"],
+//     categoryMode: "all",
+//     filter: "gebru",
+//     dateRange: { from: "2023", to: "" },
+//     sort: { field: "date", direction: "desc" },
+//     page: 1,
+//     visibleCount: 2,
+//     matchingCount: 2,
+//   }
+const kCategoryChangedEvent = "quarto-listing-category-changed";
+const kFilteredEvent = "quarto-listing-filtered";
+const kPageChangedEvent = "quarto-listing-page-changed";
+const kSortedEvent = "quarto-listing-sorted";
+const kViewChangedEvent = "quarto-listing-view-changed";
+
+// Categories may be combined, in which case items must either carry
+// all of the selected categories or any one of them
+const kCategoryMatchAll = "all";
+const kCategoryMatchAny = "any";
+const kCategoryModeKey = "category-mode";
+
+let activeCategories = [];
+let categoryMatchMode = kCategoryMatchAll;
+
+// Listings may be limited to a range of dates, given as a year, month or
+// day (e.g. from=2023-03&to=2023-05 is March through May 2023)
+const kDateFromKey = "from";
+const kDateToKey = "to";
+const kDateValueName = "listing-date-sort";
+
+let activeDateRange = { from: "", to: "" };
+
+// Posts join a series with a `series:` category (see quarto.js), which
+// readers see as just the name of the series
+const kSeriesCategoryPrefix = "series:";
+
+// Category clouds weight each category with one of these size classes
+// (category-cloud-1 through category-cloud-10)
+const kCloudWeights = 10;
+
+// The fields that listings may be sorted by, mapped to their list.js value
+// names. Numeric fields are compared as numbers rather than as text.
+const kSortAscending = "asc";
+const kSortDescending = "desc";
+const kSortFields = {
+  date: {
+    valueName: "listing-date-sort",
+    numeric: true,
+    direction: kSortDescending,
+  },
+  modified: {
+    valueName: "listing-file-modified-sort",
+    numeric: true,
+    direction: kSortDescending,
+  },
+  title: {
+    valueName: "listing-title",
+    numeric: false,
+    direction: kSortAscending,
+  },
+  author: {
+    valueName: "listing-author",
+    numeric: false,
+    direction: kSortAscending,
+  },
+};
+const kSortOptions = [
+  ["", "Default order"],
+  ["date-desc", "Newest first"],
+  ["date-asc", "Oldest first"],
+  ["modified-desc", "Recently updated"],
+  ["title-asc", "Title (A - Z)"],
+  ["title-desc", "Title (Z - A)"],
+  ["author-asc", "Author (A - Z)"],
+  ["author-desc", "Author (Z - A)"],
+];
+
+// The active sort for each listing, e.g. { field: "date", direction: "desc" }
+const listingSorts = {};
+
+// Free text filtering matches against these values of each item
+const kFilterValueNames = [
+  "listing-title",
+  "listing-description",
+  "listing-author",
+];
+const kFilterDelay = 250;
+
+// The active filter text for each listing
+const listingFilters = {};
+
+// Listings may load pages continuously as the reader scrolls rather than
+// using numbered pagination. Quarto doesn't pass these options through to
+// the listing, so they are read from meta tags in the page's head, e.g.
+// with `include-in-header: _listing-infinite.html` in index.qmd and
+// _listing-infinite.html holding:
+//   <meta name="quarto:listing-pagination" content="infinite">
+//   <meta name="quarto:listing-page-size" content="10">
+// The page size defaults to the list.js page size. Either option may also
+// be set for a single listing with a data- attribute on the listing element
+// (e.g. data-listing-pagination="infinite").
+const kPaginationOption = "listing-pagination";
+const kPageSizeOption = "listing-page-size";
+const kPaginationInfinite = "infinite";
+const kLoadMoreMargin = "200px";
+
+// The page size and furthest loaded page for infinite listings
+const listingPageSizes = {};
+const listingLoadedPages = {};
+
+// Progressive images load once they come within a margin of the viewport,
+// configured on the listing element with data-listing-image-margin. Images
+// may also provide a data-srcset, a low quality data-placeholder that is
+// shown (blurred) until the image loads, and a data-fallback-src used if
+// the image fails to load.
+const kImageMarginAttr = "data-listing-image-margin";
+const kDefaultImageMargin = "200px 0px";
+const kProgressiveSrcsetAttr = "data-srcset";
+const kProgressivePlaceholderAttr = "data-placeholder";
+const kProgressiveFallbackAttr = "data-fallback-src";
+
+// The image observer for each listing, and the images being observed
+const progressiveImageObservers = {};
+const observedProgressiveImages = new WeakSet();
+
+// Default listings may be viewed as a list, a grid of cards or a compact
+// table. The view only changes the styling of the rendered items, so list.js
+// keeps working with the same elements.
+const kViewDefault = "default";
+const kViewGrid = "grid";
+const kViewTable = "table";
+const kListingViews = [
+  [kViewDefault, "List", "bi-view-list"],
+  [kViewGrid, "Grid", "bi-grid"],
+  [kViewTable, "Table", "bi-table"],
+];
 
 window.quartoListingCategory = (category) => {
   if (categoriesLoaded) {
-    activateCategory(category);
-    setCategoryHash(category);
+    const categories = category ? [category] : [];
+    activateCategories(categories, categoryMatchMode);
+    setCategoryHash(categories, categoryMatchMode);
+  }
+};
+
+window.quartoListingToggleCategory = (category) => {
+  if (categoriesLoaded) {
+    toggleCategory(category);
+  }
+};
+
+window.quartoListingCategoryMode = (mode) => {
+  if (categoriesLoaded) {
+    activateCategories(activeCategories, mode);
+    setCategoryHash(activeCategories, mode);
+  }
+};
+
+window.quartoListingSort = (listingId, field, direction) => {
+  if (listingsLoaded) {
+    const sort = sortListing(listingId, field, direction);
+    if (sort) {
+      setSortHash(listingId, sort);
+    }
+  }
+};
+
+window.quartoListingFilter = (listingId, text) => {
+  if (listingsLoaded && filterListingText(listingId, text)) {
+    setFilterHash(listingId, listingFilters[listingId]);
+  }
+};
+
+// Listings that already have their list.js handlers attached
+const initializedListings = new Set();
+
+window.quartoListingDateRange = (from, to) => {
+  activateDateRange(from, to);
+  setDateRangeHash(activeDateRange);
+};
+
+window.quartoListingView = (listingId, view) => {
+  if (listingsLoaded && activateListingView(listingId, view)) {
+    setListingViewValue(listingId, view);
   }
 };
 
 window["quarto-listing-loaded"] = () => {
+  listingsLoaded = true;
+
   // Process any existing hash
   const hash = getHash();
-
   if (hash) {
-    // If there is a category, switch to that
-    if (hash.category) {
-      activateCategory(hash.category);
-    }
-    // Paginate a specific listing
-    const listingIds = Object.keys(window["quarto-listings"]);
-    for (const listingId of listingIds) {
-      const page = hash[getListingPageKey(listingId)];
-      if (page) {
-        showPage(listingId, page);
-      }
-    }
+    applyHashState(hash);
   }
 
   const listingIds = Object.keys(window["quarto-listings"]);
@@ -35,23 +216,77 @@ window["quarto-listing-loaded"] = () => {
     // Update the handlers for pagination events
     refreshPaginationHandlers(listingId);
 
+    // Provide controls for filtering, sorting and viewing the listing
+    renderFilterControl(listingId);
+    renderSortControl(listingId);
+    renderViewControl(listingId);
+
     // Render any visible items that need it
+    deferListingImages(list);
     renderVisibleProgressiveImages(list);
 
     // Whenever the list is updated, we also need to
     // attach handlers to the new pagination elements
     // and refresh any newly visible items.
-    list.on("updated", function () {
-      renderVisibleProgressiveImages(list);
-      setTimeout(() => refreshPaginationHandlers(listingId));
+    // (this is called again whenever the hash changes, so only do it once)
+    if (!initializedListings.has(listingId)) {
+      list.on("updated", function () {
+        renderVisibleProgressiveImages(list);
+        setTimeout(() => refreshPaginationHandlers(listingId));
+
+        // Show or hide the no matching message
+        toggleNoMatchingMessage(list);
+
+        // Show or hide the control for loading more items
+        toggleLoadMore(listingId);
+
+        // Refresh the category counts for the filtered items
+        updateCategoryCounts();
+      });
+
+      if (isInfiniteListing(listingId)) {
+        activateInfiniteScroll(listingId, hash);
+      }
+
+      // Restore the view the reader last chose
+      const view = getListingViewValue(listingId);
+      if (view) {
+        activateListingView(listingId, view);
+      }
+
+      activateItemNavigation(listingId);
+      initializedListings.add(listingId);
+    }
 
-      // Show or hide the no matching message
-      toggleNoMatchingMessage(list);
-    });
+    // The hash may already have filtered this list
+    toggleNoMatchingMessage(list);
   }
+  renderArchive();
+  updateCategoryCounts();
 };
 
+// Moving back and forward through history restores the listing state
+// stored in that entry's hash
+window.addEventListener("popstate", () => {
+  if (window["quarto-listings"]) {
+    applyHashState(getHash() || {});
+  }
+});
+
 window.document.addEventListener("DOMContentLoaded", function (_event) {
+  // Show series categories by their series name
+  const categoryLabelEls = window.document.querySelectorAll(
+    ".quarto-listing-category .category, .listing-category"
+  );
+  for (const categoryLabelEl of categoryLabelEls) {
+    for (const node of categoryLabelEl.childNodes) {
+      if (node.nodeType === Node.TEXT_NODE && node.textContent.trim()) {
+        const label = formatCategory(node.textContent.trim());
+        node.textContent = node.textContent.replace(/\S.*\S|\S/, label);
+      }
+    }
+  }
+
   // Attach click handlers to categories
   const categoryEls = window.document.querySelectorAll(
     ".quarto-listing-category .category"
@@ -59,22 +294,42 @@ window.document.addEventListener("DOMContentLoaded", function (_event) {
 
   for (const categoryEl of categoryEls) {
     const category = categoryEl.getAttribute("data-category");
+    categoryEl.setAttribute("role", "button");
+    categoryEl.setAttribute(
+      "aria-pressed",
+      categoryEl.classList.contains("active") ? "true" : "false"
+    );
     categoryEl.onclick = () => {
-      activateCategory(category);
-      setCategoryHash(category);
+      toggleCategory(category);
     };
   }
 
+  // Move between the categories of each list with the arrow keys
+  const categoryListEls = window.document.querySelectorAll(
+    ".quarto-listing-category"
+  );
+  for (const categoryListEl of categoryListEls) {
+    categoryListEl.setAttribute("role", "toolbar");
+    categoryListEl.setAttribute("aria-label", "Categories");
+    if (!categoryListEl.classList.contains("category-cloud")) {
+      categoryListEl.setAttribute("aria-orientation", "vertical");
+    }
+    activateRovingTabIndex(categoryListEl, ".category");
+  }
+
   // Attach a click handler to the category title
   // (there should be only one, but since it is a class name, handle N)
   const categoryTitleEls = window.document.querySelectorAll(
     ".quarto-listing-category-title"
   );
   for (const categoryTitleEl of categoryTitleEls) {
+    categoryTitleEl.setAttribute("role", "button");
+    categoryTitleEl.setAttribute("tabindex", "0");
     categoryTitleEl.onclick = () => {
-      activateCategory("");
-      setCategoryHash("");
+      activateCategories([], categoryMatchMode);
+      setCategoryHash([], categoryMatchMode);
     };
+    categoryTitleEl.onkeydown = activateOnEnterOrSpace;
   }
 
   categoriesLoaded = true;
@@ -92,22 +347,467 @@ function toggleNoMatchingMessage(list) {
       }
     }
   }
+
+  announceVisibleCount(list);
+}
+
+// Announces the number of items shown to screen readers each time the
+// listing changes (even if the count doesn't). The first count is just
+// recorded, so nothing is announced as the page loads.
+function announceVisibleCount(list) {
+  const listingEl = list.listContainer;
+  let statusEl = listingEl.querySelector(".quarto-listing-status");
+  if (!statusEl) {
+    statusEl = window.document.createElement("div");
+    statusEl.classList.add("quarto-listing-status", "visually-hidden");
+    statusEl.setAttribute("role", "status");
+    statusEl.setAttribute("aria-live", "polite");
+    listingEl.appendChild(statusEl);
+  }
+
+  const count = list.visibleItems.length;
+  if (statusEl.hasAttribute("data-count")) {
+    // Screen readers only announce text that changed, so vary a repeat
+    let message = `${count} ${count === 1 ? "post" : "posts"} shown`;
+    if (statusEl.textContent === message) {
+      message += "\u00a0";
+    }
+    statusEl.textContent = message;
+  }
+  statusEl.setAttribute("data-count", count);
+}
+
+const rovingContainers = new WeakSet();
+
+// Gives a group of items a single tab stop, moving focus between the items
+// with the arrow, Home and End keys and activating them with Enter or Space
+function activateRovingTabIndex(containerEl, itemSelector) {
+  const itemEls = () => [...containerEl.querySelectorAll(itemSelector)];
+  const setTabStop = (tabStopEl) => {
+    for (const itemEl of itemEls()) {
+      itemEl.setAttribute("tabindex", itemEl === tabStopEl ? "0" : "-1");
+    }
+  };
+
+  // Start on the active item, if there is one
+  const els = itemEls();
+  setTabStop(els.find((el) => el.classList.contains("active")) || els[0]);
+
+  // Containers whose items are re-rendered only need their listeners once
+  if (rovingContainers.has(containerEl)) {
+    return;
+  }
+  rovingContainers.add(containerEl);
+
+  containerEl.addEventListener("focusin", (event) => {
+    const itemEl = event.target.closest(itemSelector);
+    if (itemEl && containerEl.contains(itemEl)) {
+      setTabStop(itemEl);
+    }
+  });
+
+  containerEl.addEventListener("keydown", (event) => {
+    const els = itemEls();
+    const index = els.indexOf(event.target);
+    if (index === -1) {
+      return;
+    }
+
+    let nextIndex = undefined;
+    switch (event.key) {
+      case "ArrowDown":
+      case "ArrowRight":
+        nextIndex = Math.min(index + 1, els.length - 1);
+        break;
+      case "ArrowUp":
+      case "ArrowLeft":
+        nextIndex = Math.max(index - 1, 0);
+        break;
+      case "Home":
+        nextIndex = 0;
+        break;
+      case "End":
+        nextIndex = els.length - 1;
+        break;
+      default:
+        activateOnEnterOrSpace(event);
+        return;
+    }
+    event.preventDefault();
+    setTabStop(els[nextIndex]);
+    els[nextIndex].focus();
+  });
+}
+
+function activateOnEnterOrSpace(event) {
+  if (event.key === "Enter" || event.key === " ") {
+    event.preventDefault();
+    event.target.click();
+  }
+}
+
+// Moves focus between the visible items of a listing with the arrow keys
+function activateItemNavigation(listingId) {
+  const listingEl = window.document.getElementById(listingId);
+  const listEl = listingEl.querySelector(".list");
+  listEl.addEventListener("keydown", (event) => {
+    const steps = { ArrowDown: 1, ArrowRight: 1, ArrowUp: -1, ArrowLeft: -1 };
+    const step = steps[event.key];
+    if (!step || event.altKey || event.ctrlKey || event.metaKey) {
+      return;
+    }
+
+    const list = window["quarto-listings"][listingId];
+    const itemEls = list.visibleItems.map((item) => item.elm);
+    const index = itemEls.findIndex((itemEl) => itemEl.contains(event.target));
+    const nextItemEl = index !== -1 ? itemEls[index + step] : undefined;
+    if (nextItemEl) {
+      // Prefer the link around the title
+      const linkEl =
+        nextItemEl.querySelector(".body a[href]") ||
+        nextItemEl.querySelector("a[href]");
+      if (linkEl) {
+        event.preventDefault();
+        linkEl.focus();
+      }
+    }
+  });
+}
+
+// Applies the complete listing state described by a hash. Anything the
+// hash doesn't mention is returned to its default.
+function applyHashState(hash) {
+  const listingIds = Object.keys(window["quarto-listings"]);
+
+  // Filter each listing once, for all of the state in the hash
+  filteringDeferred = true;
+  try {
+    activateDateRange(hash[kDateFromKey], hash[kDateToKey]);
+    activateCategories(
+      parseCategories(hash.category),
+      hash[kCategoryModeKey] || kCategoryMatchAll
+    );
+    for (const listingId of listingIds) {
+      filterListingText(listingId, hash[getListingFilterKey(listingId)]);
+    }
+  } finally {
+    filteringDeferred = false;
+  }
+  filterListingCategory();
+
+  for (const listingId of listingIds) {
+    const sort = parseSort(hash[getListingSortKey(listingId)]) || {
+      field: "",
+    };
+    const currentSort = listingSorts[listingId] || { field: "" };
+    if (formatSort(sort) !== formatSort(currentSort)) {
+      sortListing(listingId, sort.field, sort.direction);
+    }
+
+    showPage(listingId, hash[getListingPageKey(listingId)] || 1);
+  }
+}
+
+function setDateRangeHash(dateRange) {
+  updateHash({
+    [kDateFromKey]: dateRange.from,
+    [kDateToKey]: dateRange.to,
+    ...clearedPageKeys(),
+  });
+}
+
+function setCategoryHash(categories, mode) {
+  // Each selected category is written as its own 'category' value
+  updateHash({
+    category: categories,
+    [kCategoryModeKey]: mode !== kCategoryMatchAll ? mode : undefined,
+    ...clearedPageKeys(),
+  });
+}
+
+// Filtering returns every listing to its first page, so their pages are
+// dropped from the hash along with the change
+function clearedPageKeys() {
+  const pageKeys = {};
+  for (const listingId of Object.keys(window["quarto-listings"] || {})) {
+    pageKeys[getListingPageKey(listingId)] = undefined;
+  }
+  return pageKeys;
 }
 
-function setCategoryHash(category) {
-  setHash({ category });
+function parseCategories(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values.filter((category) => category && category.length > 0);
 }
 
 function setPageHash(listingId, page) {
-  const currentHash = getHash() || {};
-  currentHash[getListingPageKey(listingId)] = page;
-  setHash(currentHash);
+  updateHash({ [getListingPageKey(listingId)]: page });
 }
 
 function getListingPageKey(listingId) {
   return `${listingId}-page`;
 }
 
+function setFilterHash(listingId, text) {
+  // Typing in the filter is transient, it shouldn't add an entry per keystroke.
+  // Filtering returns the listing to its first page, so drop the page too.
+  updateHash(
+    {
+      [getListingFilterKey(listingId)]: text,
+      [getListingPageKey(listingId)]: undefined,
+    },
+    true
+  );
+}
+
+function getListingFilterKey(listingId) {
+  return `${listingId}-filter`;
+}
+
+function setSortHash(listingId, sort) {
+  updateHash({ [getListingSortKey(listingId)]: formatSort(sort) });
+}
+
+function getListingSortKey(listingId) {
+  return `${listingId}-sort`;
+}
+
+function formatSort(sort) {
+  return sort.field ? `${sort.field}-${sort.direction}` : "";
+}
+
+function parseSort(value) {
+  if (!value) {
+    return undefined;
+  }
+  const separatorIndex = value.lastIndexOf("-");
+  if (separatorIndex === -1) {
+    return { field: value, direction: undefined };
+  }
+  return {
+    field: value.slice(0, separatorIndex),
+    direction: value.slice(separatorIndex + 1),
+  };
+}
+
+function getToolbar(listingId) {
+  // The toolbar sits above the list itself and holds the listing controls
+  const listingEl = window.document.getElementById(listingId);
+  let toolbarEl = listingEl.querySelector(".quarto-listing-toolbar");
+  if (!toolbarEl) {
+    toolbarEl = window.document.createElement("div");
+    toolbarEl.classList.add("quarto-listing-toolbar");
+    listingEl.prepend(toolbarEl);
+  }
+  return toolbarEl;
+}
+
+function renderFilterControl(listingId) {
+  const toolbarEl = getToolbar(listingId);
+  let inputEl = toolbarEl.querySelector(".quarto-listing-filter");
+  if (!inputEl) {
+    inputEl = window.document.createElement("input");
+    inputEl.setAttribute("type", "search");
+    inputEl.setAttribute("placeholder", "Filter");
+    inputEl.setAttribute("aria-label", "Filter listing");
+    inputEl.classList.add(
+      "quarto-listing-filter",
+      "form-control",
+      "form-control-sm"
+    );
+    inputEl.oninput = debounce(() => {
+      window.quartoListingFilter(listingId, inputEl.value);
+    }, kFilterDelay);
+    toolbarEl.prepend(inputEl);
+  }
+
+  // Don't disturb the text while the user is typing in the box
+  if (window.document.activeElement !== inputEl) {
+    inputEl.value = listingFilters[listingId] || "";
+  }
+}
+
+function renderSortControl(listingId) {
+  const toolbarEl = getToolbar(listingId);
+  let selectEl = toolbarEl.querySelector(".quarto-listing-sort");
+  if (!selectEl) {
+    selectEl = window.document.createElement("select");
+    selectEl.classList.add(
+      "quarto-listing-sort",
+      "form-select",
+      "form-select-sm"
+    );
+    selectEl.setAttribute("aria-label", "Sort listing");
+    for (const [value, label] of kSortOptions) {
+      const optionEl = window.document.createElement("option");
+      optionEl.value = value;
+      optionEl.append(label);
+      selectEl.appendChild(optionEl);
+    }
+    selectEl.onchange = () => {
+      const sort = parseSort(selectEl.value) || { field: "" };
+      window.quartoListingSort(listingId, sort.field, sort.direction);
+    };
+    toolbarEl.appendChild(selectEl);
+  }
+
+  const sort = listingSorts[listingId];
+  selectEl.value = sort ? formatSort(sort) : "";
+}
+
+function canSwitchView(listingId) {
+  // Only the default listing's items can be restyled into other views
+  const listingEl = window.document.getElementById(listingId);
+  return (
+    listingEl !== null &&
+    listingEl.classList.contains("quarto-listing-container-default")
+  );
+}
+
+function renderViewControl(listingId) {
+  if (!canSwitchView(listingId)) {
+    return;
+  }
+
+  const toolbarEl = getToolbar(listingId);
+  let viewsEl = toolbarEl.querySelector(".quarto-listing-views");
+  if (!viewsEl) {
+    viewsEl = window.document.createElement("div");
+    viewsEl.classList.add("quarto-listing-views", "btn-group", "btn-group-sm");
+    viewsEl.setAttribute("role", "group");
+    viewsEl.setAttribute("aria-label", "Listing view");
+    for (const [view, title, icon] of kListingViews) {
+      const viewButtonEl = window.document.createElement("button");
+      viewButtonEl.setAttribute("type", "button");
+      viewButtonEl.setAttribute("title", title);
+      viewButtonEl.setAttribute("aria-label", title);
+      viewButtonEl.setAttribute("data-view", view);
+      viewButtonEl.classList.add("btn", "btn-outline-secondary");
+      const iconEl = window.document.createElement("i");
+      iconEl.classList.add("bi", icon);
+      viewButtonEl.appendChild(iconEl);
+      viewButtonEl.onclick = () => {
+        window.quartoListingView(listingId, view);
+      };
+      viewsEl.appendChild(viewButtonEl);
+    }
+    toolbarEl.appendChild(viewsEl);
+  }
+
+  const listingEl = window.document.getElementById(listingId);
+  const activeView =
+    kListingViews
+      .map(([view]) => view)
+      .find((view) => listingEl.classList.contains(getViewClass(view))) ||
+    kViewDefault;
+  for (const viewButtonEl of viewsEl.querySelectorAll("button")) {
+    const active = viewButtonEl.getAttribute("data-view") === activeView;
+    viewButtonEl.setAttribute("aria-pressed", active ? "true" : "false");
+    if (active) {
+      viewButtonEl.classList.add("active");
+    } else {
+      viewButtonEl.classList.remove("active");
+    }
+  }
+}
+
+function getViewClass(view) {
+  return `quarto-listing-view-${view}`;
+}
+
+function activateListingView(listingId, view) {
+  const list = window["quarto-listings"][listingId];
+  const isView = kListingViews.some(([listingView]) => listingView === view);
+  if (!list || !isView || !canSwitchView(listingId)) {
+    return false;
+  }
+
+  const listingEl = window.document.getElementById(listingId);
+  for (const [listingView] of kListingViews) {
+    listingEl.classList.remove(getViewClass(listingView));
+  }
+  if (view !== kViewDefault) {
+    listingEl.classList.add(getViewClass(view));
+  }
+  renderViewControl(listingId);
+
+  // The new layout may bring other images into view
+  renderVisibleProgressiveImages(list);
+  dispatchListingEvent(listingId, kViewChangedEvent, { view });
+  return true;
+}
+
+function setListingViewValue(listingId, view) {
+  if (window.location.protocol !== "file:") {
+    window.localStorage.setItem(`quarto-listing-view-${listingId}`, view);
+  } else {
+    localListingViews[listingId] = view;
+  }
+}
+
+function getListingViewValue(listingId) {
+  if (window.location.protocol !== "file:") {
+    return window.localStorage.getItem(`quarto-listing-view-${listingId}`);
+  } else {
+    return localListingViews[listingId];
+  }
+}
+const localListingViews = {};
+
+function sortListing(listingId, field, direction) {
+  const list = window["quarto-listings"][listingId];
+  if (!list) {
+    return undefined;
+  }
+
+  // An empty field restores the order the listing was rendered in
+  const sortField = kSortFields[field];
+  if (field && !sortField) {
+    return undefined;
+  }
+  const sort = field
+    ? {
+        field,
+        direction:
+          direction === kSortAscending || direction === kSortDescending
+            ? direction
+            : sortField.direction,
+      }
+    : { field: "", direction: kSortAscending };
+
+  // Sort ties by the rendered order so that items keep their relative
+  // position no matter which page is being shown
+  const indexOf = (item) => parseInt(item.values().index);
+  const compare = (a, b) => {
+    if (!sortField) {
+      return 0;
+    }
+    const aValue = a.values()[sortField.valueName] || "";
+    const bValue = b.values()[sortField.valueName] || "";
+    if (sortField.numeric) {
+      return (parseFloat(aValue) || 0) - (parseFloat(bValue) || 0);
+    } else {
+      return aValue.trim().localeCompare(bValue.trim(), undefined, {
+        sensitivity: "base",
+      });
+    }
+  };
+  const multiplier = sort.direction === kSortDescending ? -1 : 1;
+
+  // Sorting updates the list in place, preserving the page that is shown
+  list.sort("index", {
+    order: kSortAscending,
+    sortFunction: (a, b) => {
+      return compare(a, b) * multiplier || indexOf(a) - indexOf(b);
+    },
+  });
+
+  listingSorts[listingId] = sort.field ? sort : undefined;
+  renderSortControl(listingId);
+  dispatchListingEvent(listingId, kSortedEvent);
+  return sort;
+}
+
 function refreshPaginationHandlers(listingId) {
   const listingEl = window.document.getElementById(listingId);
   const paginationEls = listingEl.querySelectorAll(
@@ -120,10 +820,161 @@ function refreshPaginationHandlers(listingId) {
       return false;
     };
   }
+
+  // Mark the current page and move between pages with the arrow keys
+  const pageLinkEls = [
+    ...listingEl.querySelectorAll(".pagination .page.page-link"),
+  ];
+  pageLinkEls.forEach((pageLinkEl, index) => {
+    const pageItemEl = pageLinkEl.closest("li");
+    if (pageItemEl && pageItemEl.classList.contains("active")) {
+      pageLinkEl.setAttribute("aria-current", "page");
+    } else {
+      pageLinkEl.removeAttribute("aria-current");
+    }
+    const page = pageLinkEl.getAttribute("data-i");
+    if (page) {
+      pageLinkEl.setAttribute("aria-label", `Page ${page}`);
+    }
+
+    pageLinkEl.onkeydown = (event) => {
+      const step =
+        event.key === "ArrowRight" ? 1 : event.key === "ArrowLeft" ? -1 : 0;
+      const nextLinkEl = step !== 0 ? pageLinkEls[index + step] : undefined;
+      if (nextLinkEl) {
+        event.preventDefault();
+        nextLinkEl.focus();
+      }
+    };
+  });
+}
+
+function getListingOption(listingEl, name) {
+  const value = listingEl.getAttribute(`data-${name}`);
+  if (value !== null) {
+    return value;
+  }
+  const metaEl = window.document.querySelector(`meta[name="quarto:${name}"]`);
+  return metaEl ? metaEl.getAttribute("content") : null;
+}
+
+function isInfiniteListing(listingId) {
+  const listingEl = window.document.getElementById(listingId);
+  return (
+    listingEl !== null &&
+    getListingOption(listingEl, kPaginationOption) === kPaginationInfinite
+  );
+}
+
+function getListingPageSize(listingId) {
+  // Capture the page size once, since showing pages of an infinite
+  // listing grows the list.js page size
+  if (listingPageSizes[listingId] === undefined) {
+    const list = window["quarto-listings"][listingId];
+    const listingEl = window.document.getElementById(listingId);
+    const pageSize = parseInt(getListingOption(listingEl, kPageSizeOption));
+    listingPageSizes[listingId] = pageSize > 0 ? pageSize : list.page;
+  }
+  return listingPageSizes[listingId];
+}
+
+function activateInfiniteScroll(listingId, hash) {
+  const listingEl = window.document.getElementById(listingId);
+  listingEl.classList.add("quarto-listing-infinite");
+
+  // A sentinel after the list loads the next page when it scrolls into
+  // view (or when clicked, if the browser can't observe it)
+  const loadMoreEl = window.document.createElement("div");
+  loadMoreEl.classList.add("quarto-listing-load-more");
+  const loadMoreButtonEl = window.document.createElement("button");
+  loadMoreButtonEl.setAttribute("type", "button");
+  loadMoreButtonEl.classList.add("btn", "btn-outline-secondary", "btn-sm");
+  loadMoreButtonEl.append("Load more");
+  loadMoreButtonEl.onclick = () => {
+    loadNextPage(listingId);
+  };
+  loadMoreEl.appendChild(loadMoreButtonEl);
+  listingEl.querySelector(".list").after(loadMoreEl);
+
+  if (window.IntersectionObserver) {
+    const observer = new window.IntersectionObserver(
+      (entries) => {
+        for (const entry of entries) {
+          if (entry.isIntersecting && loadNextPage(listingId)) {
+            // Observe again so that we hear about the sentinel if it is
+            // still visible after the new page renders
+            observer.unobserve(loadMoreEl);
+            observer.observe(loadMoreEl);
+          }
+        }
+      },
+      { rootMargin: kLoadMoreMargin }
+    );
+    observer.observe(loadMoreEl);
+  }
+
+  // Restore the pages that were loaded, or show the first page
+  const page = hash && hash[getListingPageKey(listingId)];
+  showPage(listingId, page || 1);
+}
+
+function loadNextPage(listingId) {
+  const list = window["quarto-listings"][listingId];
+  if (list.visibleItems.length >= list.matchingItems.length) {
+    return false;
+  }
+
+  const page = (listingLoadedPages[listingId] || 1) + 1;
+  showPage(listingId, page);
+
+  // Loading pages is transient, so only the furthest page is remembered
+  updateHash({ [getListingPageKey(listingId)]: page }, true);
+  return true;
+}
+
+function toggleLoadMore(listingId) {
+  const loadMoreEl = window.document.querySelector(
+    `#${listingId} .quarto-listing-load-more`
+  );
+  if (loadMoreEl) {
+    const list = window["quarto-listings"][listingId];
+    if (list.visibleItems.length < list.matchingItems.length) {
+      loadMoreEl.classList.remove("d-none");
+    } else {
+      loadMoreEl.classList.add("d-none");
+    }
+  }
+}
+
+// Quarto renders listing images with a src, so they start loading as the
+// page is parsed. Those that haven't finished are turned into progressive
+// images, so that only the ones near the viewport go on loading.
+function deferListingImages(list) {
+  if (!window.IntersectionObserver) {
+    return;
+  }
+  for (const item of list.items) {
+    const imgs = item.elm
+      ? item.elm.querySelectorAll(`img[src]:not([${kProgressiveAttr}])`)
+      : [];
+    for (const img of imgs) {
+      if (img.complete) {
+        continue;
+      }
+      img.setAttribute(kProgressiveAttr, img.getAttribute("src"));
+      img.removeAttribute("src");
+      if (img.hasAttribute("srcset")) {
+        img.setAttribute(kProgressiveSrcsetAttr, img.getAttribute("srcset"));
+        img.removeAttribute("srcset");
+      }
+    }
+  }
 }
 
 function renderVisibleProgressiveImages(list) {
   // Run through the visible items and render any progressive images
+  // as they approach the viewport
+  const observer = getProgressiveImageObserver(list.listContainer.id);
   for (const item of list.visibleItems) {
     const itemEl = item.elm;
     if (itemEl) {
@@ -131,19 +982,101 @@ function renderVisibleProgressiveImages(list) {
         `img[${kProgressiveAttr}]`
       );
       for (const progressiveImg of progressiveImgs) {
-        const srcValue = progressiveImg.getAttribute(kProgressiveAttr);
-        if (srcValue) {
-          progressiveImg.setAttribute("src", srcValue);
+        if (!observer) {
+          renderProgressiveImage(progressiveImg);
+        } else if (!observedProgressiveImages.has(progressiveImg)) {
+          showProgressivePlaceholder(progressiveImg);
+          observer.observe(progressiveImg);
+          observedProgressiveImages.add(progressiveImg);
         }
-        progressiveImg.removeAttribute(kProgressiveAttr);
       }
     }
   }
 }
 
+function getProgressiveImageObserver(listingId) {
+  if (!window.IntersectionObserver) {
+    return undefined;
+  }
+
+  if (!progressiveImageObservers[listingId]) {
+    const listingEl = window.document.getElementById(listingId);
+    const rootMargin =
+      (listingEl && listingEl.getAttribute(kImageMarginAttr)) ||
+      kDefaultImageMargin;
+    const observer = new window.IntersectionObserver(
+      (entries) => {
+        for (const entry of entries) {
+          if (entry.isIntersecting) {
+            observer.unobserve(entry.target);
+            observedProgressiveImages.delete(entry.target);
+            renderProgressiveImage(entry.target);
+          }
+        }
+      },
+      { rootMargin }
+    );
+    progressiveImageObservers[listingId] = observer;
+  }
+  return progressiveImageObservers[listingId];
+}
+
+function showProgressivePlaceholder(progressiveImg) {
+  const placeholderValue = progressiveImg.getAttribute(
+    kProgressivePlaceholderAttr
+  );
+  if (placeholderValue && !progressiveImg.getAttribute("src")) {
+    progressiveImg.setAttribute("src", placeholderValue);
+    progressiveImg.classList.add("quarto-progressive-placeholder");
+  }
+}
+
+function renderProgressiveImage(progressiveImg) {
+  const srcValue = progressiveImg.getAttribute(kProgressiveAttr);
+  const srcsetValue = progressiveImg.getAttribute(kProgressiveSrcsetAttr);
+  if (!srcValue && !srcsetValue) {
+    progressiveImg.removeAttribute(kProgressiveAttr);
+    return;
+  }
+
+  progressiveImg.classList.add("quarto-progressive-loading");
+  progressiveImg.addEventListener("load", function onLoad() {
+    progressiveImg.removeEventListener("load", onLoad);
+    progressiveImg.classList.remove(
+      "quarto-progressive-loading",
+      "quarto-progressive-placeholder"
+    );
+  });
+  progressiveImg.addEventListener("error", function onError() {
+    // Try the fallback (once), otherwise mark the image as broken
+    const fallbackValue = progressiveImg.getAttribute(kProgressiveFallbackAttr);
+    progressiveImg.removeAttribute(kProgressiveFallbackAttr);
+    progressiveImg.removeAttribute("srcset");
+    if (fallbackValue) {
+      progressiveImg.setAttribute("src", fallbackValue);
+    } else {
+      progressiveImg.removeEventListener("error", onError);
+      progressiveImg.classList.remove(
+        "quarto-progressive-loading",
+        "quarto-progressive-placeholder"
+      );
+      progressiveImg.classList.add("quarto-progressive-error");
+    }
+  });
+
+  if (srcsetValue) {
+    progressiveImg.setAttribute("srcset", srcsetValue);
+  }
+  if (srcValue) {
+    progressiveImg.setAttribute("src", srcValue);
+  }
+  progressiveImg.removeAttribute(kProgressiveSrcsetAttr);
+  progressiveImg.removeAttribute(kProgressiveAttr);
+}
+
 function getHash() {
   // Hashes are of the form
-  // #name:value|name1:value1|name2:value2
+  // #name=value&name1=value1&name1=value2&anchor
   const currentUrl = new URL(window.location);
   const hashRaw = currentUrl.hash ? currentUrl.hash.slice(1) : undefined;
   return parseHash(hashRaw);
@@ -152,92 +1085,724 @@ function getHash() {
 const kAnd = "&";
 const kEquals = "=";
 
+// Names and values are URI encoded when written, so any text (including
+// the separators above) round trips. A name that appears more than once
+// is read as an array of values, and a bare name with no value (e.g. an
+// anchor) is read as null so that it is written back untouched.
 function parseHash(hash) {
   if (!hash) {
     return undefined;
   }
-  const hasValuesStrs = hash.split(kAnd);
-  const hashValues = hasValuesStrs
-    .map((hashValueStr) => {
-      const vals = hashValueStr.split(kEquals);
-      if (vals.length === 2) {
-        return { name: vals[0], value: vals[1] };
-      } else {
-        return undefined;
-      }
-    })
-    .filter((value) => {
-      return value !== undefined;
-    });
 
   const hashObj = {};
-  hashValues.forEach((hashValue) => {
-    hashObj[hashValue.name] = decodeURIComponent(hashValue.value);
-  });
+  for (const hashValueStr of hash.split(kAnd)) {
+    if (hashValueStr.length === 0) {
+      continue;
+    }
+
+    const equalsIndex = hashValueStr.indexOf(kEquals);
+    const name = decodeHashComponent(
+      equalsIndex === -1 ? hashValueStr : hashValueStr.slice(0, equalsIndex)
+    );
+    const value =
+      equalsIndex === -1
+        ? null
+        : decodeHashComponent(hashValueStr.slice(equalsIndex + 1));
+
+    const existingValue = hashObj[name];
+    if (existingValue === undefined || existingValue === null) {
+      hashObj[name] = value;
+    } else if (value !== null) {
+      hashObj[name] = [].concat(existingValue, value);
+    }
+  }
   return hashObj;
 }
 
+function decodeHashComponent(str) {
+  try {
+    return decodeURIComponent(str);
+  } catch {
+    // Not a valid encoding, just use the raw text
+    return str;
+  }
+}
+
 function makeHash(obj) {
-  return Object.keys(obj)
-    .map((key) => {
-      return `${key}${kEquals}${obj[key]}`;
-    })
-    .join(kAnd);
+  const hashValueStrs = [];
+  for (const name of Object.keys(obj)) {
+    const value = obj[name];
+    if (value === null) {
+      hashValueStrs.push(encodeURIComponent(name));
+    } else if (value !== undefined) {
+      const values = Array.isArray(value) ? value : [value];
+      for (const val of values) {
+        hashValueStrs.push(
+          `${encodeURIComponent(name)}${kEquals}${encodeURIComponent(val)}`
+        );
+      }
+    }
+  }
+  return hashValueStrs.join(kAnd);
 }
 
-function setHash(obj) {
+// Transient changes (like typing a filter) push a single history entry
+// and then replace it as the change continues, rather than pushing an
+// entry for every step. Other changes always push a new entry.
+const kTransientState = "quarto-listing-transient";
+
+function setHash(obj, transient) {
   const hash = makeHash(obj);
-  window.history.pushState(null, null, `#${hash}`);
+  const state = transient ? { [kTransientState]: true } : null;
+  const currentState = window.history.state;
+  if (transient && currentState && currentState[kTransientState]) {
+    window.history.replaceState(state, null, `#${hash}`);
+  } else {
+    window.history.pushState(state, null, `#${hash}`);
+  }
+}
+
+// Merges the values into the current hash, leaving any other values in
+// place. An undefined, empty or empty array value removes that name.
+function updateHash(values, transient) {
+  const currentHash = getHash() || {};
+  for (const name of Object.keys(values)) {
+    const value = values[name];
+    if (
+      value === undefined ||
+      value === null ||
+      value === "" ||
+      (Array.isArray(value) && value.length === 0)
+    ) {
+      delete currentHash[name];
+    } else {
+      currentHash[name] = Array.isArray(value)
+        ? value.map((val) => `${val}`)
+        : `${value}`;
+    }
+  }
+  setHash(currentHash, transient);
 }
 
 function showPage(listingId, page) {
   const list = window["quarto-listings"][listingId];
   if (list) {
-    list.show((page - 1) * list.page + 1, list.page);
+    const previousPage = getCurrentPage(listingId);
+    if (isInfiniteListing(listingId)) {
+      // Infinite listings show every page up to and including this one
+      const loadedPage = Math.max(parseInt(page) || 1, 1);
+      listingLoadedPages[listingId] = loadedPage;
+      list.show(1, loadedPage * getListingPageSize(listingId));
+    } else {
+      list.show((page - 1) * list.page + 1, list.page);
+    }
+
+    if (getCurrentPage(listingId) !== previousPage) {
+      dispatchListingEvent(listingId, kPageChangedEvent);
+    }
   }
 }
 
-function activateCategory(category) {
-  // Deactivate existing categories
-  const activeEls = window.document.querySelectorAll(
-    ".quarto-listing-category .category.active"
+function getCurrentPage(listingId) {
+  if (isInfiniteListing(listingId)) {
+    return listingLoadedPages[listingId] || 1;
+  } else {
+    const list = window["quarto-listings"][listingId];
+    return Math.floor((list.i - 1) / list.page) + 1;
+  }
+}
+
+function dispatchListingEvent(listingId, type, detail) {
+  const listingEl = window.document.getElementById(listingId);
+  const list = window["quarto-listings"][listingId];
+  if (!listingEl || !list) {
+    return;
+  }
+
+  const sort = listingSorts[listingId];
+  const event = new CustomEvent(type, {
+    detail: {
+      listingId,
+      categories: [...activeCategories],
+      categoryMode: categoryMatchMode,
+      filter: listingFilters[listingId] || "",
+      dateRange: { ...activeDateRange },
+      sort: sort ? { ...sort } : undefined,
+      page: getCurrentPage(listingId),
+      visibleCount: list.visibleItems.length,
+      matchingCount: list.matchingItems.length,
+      ...detail,
+    },
+    bubbles: true,
+    cancelable: false,
+    composed: false,
+  });
+  listingEl.dispatchEvent(event);
+}
+
+function toggleCategory(category) {
+  // The 'All' category clears the selection
+  let categories = [];
+  if (category !== "") {
+    categories = activeCategories.includes(category)
+      ? activeCategories.filter((active) => active !== category)
+      : [...activeCategories, category];
+  }
+  activateCategories(categories, categoryMatchMode);
+  setCategoryHash(categories, categoryMatchMode);
+}
+
+function activateCategories(categories, mode) {
+  const previousCategories = activeCategories;
+  const previousMode = categoryMatchMode;
+  activeCategories = categories;
+  categoryMatchMode = mode === kCategoryMatchAny ? mode : kCategoryMatchAll;
+
+  // Mark the selected categories (or 'All' if there are none) as active
+  const categoryEls = window.document.querySelectorAll(
+    ".quarto-listing-category .category"
   );
-  for (const activeEl of activeEls) {
-    activeEl.classList.remove("active");
+  for (const categoryEl of categoryEls) {
+    const category = categoryEl.getAttribute("data-category");
+    const active =
+      categories.length === 0 ? category === "" : categories.includes(category);
+    if (active) {
+      categoryEl.classList.add("active");
+    } else {
+      categoryEl.classList.remove("active");
+    }
+    categoryEl.setAttribute("aria-pressed", active ? "true" : "false");
+  }
+
+  renderCategoryChips(categories, categoryMatchMode);
+
+  // Filter the listings to these categories
+  filterListingCategory();
+
+  const changed =
+    previousMode !== categoryMatchMode ||
+    previousCategories.length !== activeCategories.length ||
+    previousCategories.some((category, i) => category !== activeCategories[i]);
+  if (changed) {
+    for (const listingId of Object.keys(window["quarto-listings"] || {})) {
+      dispatchListingEvent(listingId, kCategoryChangedEvent);
+    }
   }
+}
+
+function formatCategory(category) {
+  return category.startsWith(kSeriesCategoryPrefix)
+    ? category.substring(kSeriesCategoryPrefix.length).trim()
+    : category;
+}
 
-  // Activate this category
-  const categoryEl = window.document.querySelector(
-    `.quarto-listing-category .category[data-category='${category}'`
+function renderCategoryChips(categories, mode) {
+  // The chips live just above the category list
+  const categoryListEls = window.document.querySelectorAll(
+    ".quarto-listing-category"
   );
-  if (categoryEl) {
-    categoryEl.classList.add("active");
+  for (const categoryListEl of categoryListEls) {
+    let chipsEl = categoryListEl.previousElementSibling;
+    if (
+      !chipsEl ||
+      !chipsEl.classList.contains("quarto-listing-category-chips")
+    ) {
+      chipsEl = window.document.createElement("div");
+      chipsEl.classList.add("quarto-listing-category-chips");
+      categoryListEl.before(chipsEl);
+    }
+    chipsEl.replaceChildren();
+
+    if (categories.length === 0) {
+      chipsEl.classList.add("d-none");
+      continue;
+    }
+    chipsEl.classList.remove("d-none");
+
+    // One chip per selected category, clicking it removes the category
+    for (const category of categories) {
+      const chipEl = window.document.createElement("button");
+      chipEl.setAttribute("type", "button");
+      chipEl.setAttribute("title", `Remove ${formatCategory(category)}`);
+      chipEl.classList.add("quarto-listing-category-chip");
+      chipEl.append(formatCategory(category));
+      const removeIconEl = window.document.createElement("i");
+      removeIconEl.classList.add("bi", "bi-x");
+      chipEl.appendChild(removeIconEl);
+      chipEl.onclick = () => {
+        toggleCategory(category);
+      };
+      chipsEl.appendChild(chipEl);
+    }
+
+    // Choosing how categories combine only matters with more than one
+    if (categories.length > 1) {
+      const modeEl = window.document.createElement("div");
+      modeEl.classList.add("quarto-listing-category-mode");
+      const modeLabels = [
+        [kCategoryMatchAll, "Match all"],
+        [kCategoryMatchAny, "Match any"],
+      ];
+      for (const [modeValue, modeLabel] of modeLabels) {
+        const modeButtonEl = window.document.createElement("button");
+        modeButtonEl.setAttribute("type", "button");
+        modeButtonEl.append(modeLabel);
+        if (modeValue === mode) {
+          modeButtonEl.classList.add("active");
+        }
+        modeButtonEl.onclick = () => {
+          window.quartoListingCategoryMode(modeValue);
+        };
+        modeEl.appendChild(modeButtonEl);
+      }
+      chipsEl.appendChild(modeEl);
+    }
   }
+}
 
-  // Filter the listings to this category
-  filterListingCategory(category);
+function filterListingText(listingId, text) {
+  const filterText = (text || "").trim();
+  if (!window["quarto-listings"][listingId]) {
+    return false;
+  }
+  if (filterText === (listingFilters[listingId] || "")) {
+    return false;
+  }
+
+  listingFilters[listingId] = filterText;
+  renderFilterControl(listingId);
+  filterListing(listingId);
+  return true;
 }
 
-function filterListingCategory(category) {
+function filterListingCategory() {
+  const listingIds = Object.keys(window["quarto-listings"]);
+  for (const listingId of listingIds) {
+    filterListing(listingId);
+  }
+}
+
+// While several filters change together, listings are filtered once
+// they have all been applied
+let filteringDeferred = false;
+
+// The filter state each listing was last filtered with
+const listingFilterStates = {};
+
+function formatFilterState(categories, mode, filters) {
+  return JSON.stringify({
+    categories,
+    mode: categories.length > 0 ? mode : undefined,
+    filters,
+  });
+}
+
+const kUnfilteredState = formatFilterState([], kCategoryMatchAll, {
+  terms: [],
+});
+
+// Filters a listing to the items that match both the active categories
+// and the listing's filter text
+function filterListing(listingId) {
+  const list = window["quarto-listings"][listingId];
+  if (list && !filteringDeferred) {
+    const categories = activeCategories;
+    const filters = getListingFilters(listingId);
+
+    // Only filter (and tell anyone listening) when something changed
+    const state = formatFilterState(categories, categoryMatchMode, filters);
+    if (state === (listingFilterStates[listingId] || kUnfilteredState)) {
+      return;
+    }
+    listingFilterStates[listingId] = state;
+
+    if (categories.length === 0 && !hasListingFilters(filters)) {
+      // resets the filter
+      list.filter();
+    } else {
+      list.filter(function (item) {
+        return (
+          itemMatchesCategories(item, categories, categoryMatchMode) &&
+          itemMatchesListingFilters(item, filters)
+        );
+      });
+    }
+    dispatchListingEvent(listingId, kFilteredEvent);
+  }
+}
+
+// The filters (other than categories) that apply to a listing
+function getListingFilters(listingId) {
+  const terms = normalizeFilterText(listingFilters[listingId] || "")
+    .split(/\s+/)
+    .filter((term) => term.length > 0);
+  const from = parseDateBound(activeDateRange.from, false);
+  const to = parseDateBound(activeDateRange.to, true);
+  return { terms, from, to };
+}
+
+function hasListingFilters(filters) {
+  return (
+    filters.terms.length > 0 ||
+    filters.from !== undefined ||
+    filters.to !== undefined
+  );
+}
+
+function itemMatchesListingFilters(item, filters) {
+  return (
+    itemMatchesTerms(item, filters.terms) &&
+    itemMatchesDateRange(item, filters.from, filters.to)
+  );
+}
+
+function itemMatchesDateRange(item, from, to) {
+  if (from === undefined && to === undefined) {
+    return true;
+  }
+  const date = getItemDate(item);
+  if (date === undefined) {
+    return false;
+  }
+  return (
+    (from === undefined || date >= from) && (to === undefined || date <= to)
+  );
+}
+
+function getItemDate(item) {
+  const date = parseFloat(item.values()[kDateValueName]);
+  return isNaN(date) ? undefined : date;
+}
+
+// Resolves a year, month or day (YYYY, YYYY-MM or YYYY-MM-DD) to the
+// time at the start of that period or, for the end of a range, the last
+// moment of that period
+function parseDateBound(value, isEnd) {
+  const match = /^(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?$/.exec(value || "");
+  if (!match) {
+    return undefined;
+  }
+  const year = parseInt(match[1]);
+  const month = match[2] ? parseInt(match[2]) - 1 : undefined;
+  const day = match[3] ? parseInt(match[3]) : undefined;
+
+  if (!isEnd) {
+    return new Date(
+      year,
+      month !== undefined ? month : 0,
+      day !== undefined ? day : 1
+    ).getTime();
+  } else if (day !== undefined) {
+    return new Date(year, month, day + 1).getTime() - 1;
+  } else if (month !== undefined) {
+    return new Date(year, month + 1, 1).getTime() - 1;
+  } else {
+    return new Date(year + 1, 0, 1).getTime() - 1;
+  }
+}
+
+function activateDateRange(from, to) {
+  activeDateRange = {
+    from: parseDateBound(from, false) !== undefined ? from : "",
+    to: parseDateBound(to, true) !== undefined ? to : "",
+  };
+  renderArchive();
+
+  const listingIds = Object.keys(window["quarto-listings"] || {});
+  for (const listingId of listingIds) {
+    filterListing(listingId);
+  }
+}
+
+// Renders an archive of the listings' items, by year and month, after the
+// categories (or in the margin if there are no categories)
+function renderArchive() {
+  const listings = window["quarto-listings"];
+  if (!listings) {
+    return;
+  }
+
+  let archiveEl = window.document.querySelector(".quarto-listing-archive");
+  if (!archiveEl) {
+    const categoryListEls = window.document.querySelectorAll(
+      ".quarto-listing-category"
+    );
+    const lastCategoryListEl = categoryListEls[categoryListEls.length - 1];
+    const marginEl = window.document.getElementById("quarto-margin-sidebar");
+    if (!lastCategoryListEl && !marginEl) {
+      return;
+    }
+
+    const archiveTitleEl = window.document.createElement("h5");
+    archiveTitleEl.classList.add("quarto-listing-archive-title");
+    archiveTitleEl.append("Archive");
+    archiveTitleEl.setAttribute("role", "button");
+    archiveTitleEl.setAttribute("tabindex", "0");
+    archiveTitleEl.onclick = () => {
+      window.quartoListingDateRange("", "");
+    };
+    archiveTitleEl.onkeydown = activateOnEnterOrSpace;
+    archiveEl = window.document.createElement("div");
+    archiveEl.classList.add("quarto-listing-archive");
+    archiveEl.setAttribute("role", "toolbar");
+    archiveEl.setAttribute("aria-label", "Archive");
+    archiveEl.setAttribute("aria-orientation", "vertical");
+
+    if (lastCategoryListEl) {
+      lastCategoryListEl.after(archiveTitleEl, archiveEl);
+    } else {
+      marginEl.append(archiveTitleEl, archiveEl);
+    }
+  }
+  // Keep focus on the period being chosen as the archive is redrawn
+  const focusedPeriod = archiveEl.contains(window.document.activeElement)
+    ? window.document.activeElement.getAttribute("data-period")
+    : null;
+  archiveEl.replaceChildren();
+
+  // Count the items for each year and month
+  const years = new Map();
+  for (const listingId of Object.keys(listings)) {
+    for (const item of listings[listingId].items) {
+      const date = getItemDate(item);
+      if (date !== undefined) {
+        const itemDate = new Date(date);
+        const year = itemDate.getFullYear();
+        const month = itemDate.getMonth();
+        if (!years.has(year)) {
+          years.set(year, { count: 0, months: new Map() });
+        }
+        const yearInfo = years.get(year);
+        yearInfo.count = yearInfo.count + 1;
+        yearInfo.months.set(month, (yearInfo.months.get(month) || 0) + 1);
+      }
+    }
+  }
+
+  const makePeriodEl = (className, label, count, period) => {
+    const periodEl = window.document.createElement("div");
+    periodEl.classList.add(className);
+    periodEl.setAttribute("data-period", period);
+    periodEl.append(`${label} `);
+    const countEl = window.document.createElement("span");
+    countEl.classList.add("quarto-category-count");
+    countEl.append(`(${count})`);
+    periodEl.appendChild(countEl);
+
+    // Choosing the active period again clears it
+    const active =
+      activeDateRange.from === period && activeDateRange.to === period;
+    if (active) {
+      periodEl.classList.add("active");
+    }
+    periodEl.setAttribute("role", "button");
+    periodEl.setAttribute("aria-pressed", active ? "true" : "false");
+    periodEl.onclick = () => {
+      if (active) {
+        window.quartoListingDateRange("", "");
+      } else {
+        window.quartoListingDateRange(period, period);
+      }
+    };
+    return periodEl;
+  };
+
+  const sortedYears = [...years.keys()].sort((a, b) => b - a);
+  for (const year of sortedYears) {
+    const yearInfo = years.get(year);
+    archiveEl.appendChild(
+      makePeriodEl("archive-year", `${year}`, yearInfo.count, `${year}`)
+    );
+
+    const sortedMonths = [...yearInfo.months.keys()].sort((a, b) => b - a);
+    for (const month of sortedMonths) {
+      const monthLabel = new Date(year, month, 1).toLocaleString(undefined, {
+        month: "long",
+      });
+      const period = `${year}-${String(month + 1).padStart(2, "0")}`;
+      archiveEl.appendChild(
+        makePeriodEl(
+          "archive-month",
+          monthLabel,
+          yearInfo.months.get(month),
+          period
+        )
+      );
+    }
+  }
+
+  // Provide a range of months to filter to
+  const rangeEl = window.document.createElement("div");
+  rangeEl.classList.add("quarto-listing-date-range");
+  const makeBoundEl = (label, value, onChange) => {
+    const boundEl = window.document.createElement("input");
+    boundEl.setAttribute("type", "month");
+    boundEl.setAttribute("aria-label", label);
+    boundEl.setAttribute("title", label);
+    boundEl.classList.add("form-control", "form-control-sm");
+    boundEl.value = /^\d{4}-\d{2}$/.test(value) ? value : "";
+    boundEl.onchange = () => {
+      onChange(boundEl.value);
+    };
+    return boundEl;
+  };
+  rangeEl.append(
+    makeBoundEl("From", activeDateRange.from, (from) => {
+      window.quartoListingDateRange(from, activeDateRange.to);
+    }),
+    makeBoundEl("To", activeDateRange.to, (to) => {
+      window.quartoListingDateRange(activeDateRange.from, to);
+    })
+  );
+  archiveEl.appendChild(rangeEl);
+
+  activateRovingTabIndex(archiveEl, "[data-period]");
+  if (focusedPeriod) {
+    const periodEl = archiveEl.querySelector(
+      `[data-period="${focusedPeriod}"]`
+    );
+    if (periodEl) {
+      periodEl.focus();
+    }
+  }
+}
+
+function getItemCategories(item) {
+  const itemValues = item.values();
+  if (itemValues.categories) {
+    return itemValues.categories.split(",");
+  } else {
+    return [];
+  }
+}
+
+function itemMatchesCategories(item, categories, mode) {
+  if (categories.length === 0) {
+    return true;
+  }
+  const itemCategories = getItemCategories(item);
+  if (mode === kCategoryMatchAny) {
+    return categories.some((category) => itemCategories.includes(category));
+  } else {
+    return categories.every((category) => itemCategories.includes(category));
+  }
+}
+
+// Updates the count shown next to each category to the number of items
+// that selecting it would show, given the other active filters, and dims
+// the categories that would show nothing
+function updateCategoryCounts() {
+  const liveCounts = {};
+  const totalCounts = {};
+  let allCount = 0;
+
   const listingIds = Object.keys(window["quarto-listings"]);
   for (const listingId of listingIds) {
     const list = window["quarto-listings"][listingId];
-    if (list) {
-      if (category === "") {
-        // resets the filter
-        list.filter();
+    const filters = getListingFilters(listingId);
+    for (const item of list.items) {
+      const itemCategories = getItemCategories(item);
+      for (const category of itemCategories) {
+        totalCounts[category] = (totalCounts[category] || 0) + 1;
+      }
+
+      if (!itemMatchesListingFilters(item, filters)) {
+        continue;
+      }
+      allCount = allCount + 1;
+
+      for (const category of itemCategories) {
+        // When matching all categories, this item only counts if it
+        // also carries the other selected categories
+        const matches =
+          categoryMatchMode === kCategoryMatchAny ||
+          activeCategories.every(
+            (active) => active === category || itemCategories.includes(active)
+          );
+        if (matches) {
+          liveCounts[category] = (liveCounts[category] || 0) + 1;
+        }
+      }
+    }
+  }
+
+  const categoryListEls = window.document.querySelectorAll(
+    ".quarto-listing-category"
+  );
+  for (const categoryListEl of categoryListEls) {
+    const isCloud = categoryListEl.classList.contains("category-cloud");
+    const weights = Object.values(totalCounts);
+    const minWeight = Math.min(...weights);
+    const maxWeight = Math.max(...weights);
+
+    const categoryEls = categoryListEl.querySelectorAll(".category");
+    for (const categoryEl of categoryEls) {
+      const category = categoryEl.getAttribute("data-category");
+      const count = category === "" ? allCount : liveCounts[category] || 0;
+
+      const countEl = categoryEl.querySelector(".quarto-category-count");
+      if (countEl) {
+        countEl.textContent = `(${count})`;
+      }
+
+      if (count === 0 && !activeCategories.includes(category)) {
+        categoryEl.classList.add("category-empty");
       } else {
-        // filter to this category
-        list.filter(function (item) {
-          const itemValues = item.values();
-          if (itemValues.categories !== null) {
-            const categories = itemValues.categories.split(",");
-            return categories.includes(category);
-          } else {
-            return false;
-          }
-        });
+        categoryEl.classList.remove("category-empty");
+      }
+
+      // Size the categories of a cloud by how many items carry them
+      if (isCloud && category !== "") {
+        const weight =
+          maxWeight > minWeight
+            ? ((totalCounts[category] || 0) - minWeight) /
+              (maxWeight - minWeight)
+            : 0.5;
+        for (let i = 1; i <= kCloudWeights; i++) {
+          categoryEl.classList.remove(`category-cloud-${i}`);
+        }
+        categoryEl.classList.add(
+          `category-cloud-${1 + Math.round(weight * (kCloudWeights - 1))}`
+        );
       }
     }
   }
 }
+
+function itemMatchesTerms(item, terms) {
+  if (terms.length === 0) {
+    return true;
+  }
+  // Match against the rendered text rather than the (html) list values
+  const itemText = normalizeFilterText(
+    kFilterValueNames
+      .map((valueName) => {
+        const valueEl = item.elm.querySelector(`.${valueName}`);
+        return valueEl ? valueEl.textContent : "";
+      })
+      .join(" ")
+  );
+  return terms.every((term) => itemText.includes(term));
+}
+
+function normalizeFilterText(text) {
+  // Ignore case, accents and curly quotes
+  return text
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[\u2018\u2019]/g, "'")
+    .replace(/[\u201c\u201d]/g, '"');
+}
+
+function debounce(func, wait) {
+  let timeout;
+  return function () {
+    const context = this;
+    const args = arguments;
+    clearTimeout(timeout);
+    timeout = setTimeout(() => {
+      func.apply(context, args);
+    }, wait);
+  };
+}
@@ -35,6 +35,21 @@ window.document.addEventListener("DOMContentLoaded", function () {
     }
   }
 
+  // The part of the fixed header that covers the page, which is none of
+  // it while headroom has moved the header out of view
+  function visibleHeaderOffset() {
+    const headerEl = window.document.querySelector("header.fixed-top");
+    if (headerEl && headerEl.classList.contains("headroom--unpinned")) {
+      return 0;
+    } else {
+      return headerOffset();
+    }
+  }
+
+  // Let other scripts account for the fixed header
+  window.quartoHeaderOffset = headerOffset;
+  window.quartoVisibleHeaderOffset = visibleHeaderOffset;
+
   function footerOffset() {
     const footerEl = window.document.querySelector("footer.footer");
     if (footerEl) {
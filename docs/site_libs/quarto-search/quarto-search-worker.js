@@ -0,0 +1,67 @@
+// Runs local searches for quarto-search.js off the main thread, using the
+// same index and results. The page sends these messages:
+//
+//   { type: "load", siteUrl }               load the index for the site
+//   { type: "search", id, query, options }  answered with { type: "results",
+//                                           id, items } or { type: "error",
+//                                           id, message }
+//   { type: "cancel", id }                  skip a search that is no longer
+//                                           needed (no answer is sent)
+importScripts("fuse.min.js", "quarto-search.js");
+
+// Searches that haven't been answered yet, and those of them cancelled
+const pendingSearches = new Set();
+const cancelledSearches = new Set();
+
+self.onmessage = (event) => {
+  const message = event.data;
+  switch (message.type) {
+    case "load":
+      searchSiteUrl = message.siteUrl;
+      readSearchData().catch(() => {
+        // The index will be loaded again when searching
+      });
+      break;
+    case "search":
+      pendingSearches.add(message.id);
+      // Wait for any messages already sent (such as cancelling this
+      // search because the reader kept typing) before searching
+      setTimeout(() => {
+        runSearch(message);
+      }, 0);
+      break;
+    case "cancel":
+      // Searches that were already answered have nothing to cancel
+      if (pendingSearches.has(message.id)) {
+        cancelledSearches.add(message.id);
+      }
+      break;
+  }
+};
+
+async function runSearch(message) {
+  try {
+    if (cancelledSearches.has(message.id)) {
+      return;
+    }
+    const fuse = await readSearchData();
+    // Searches can be cancelled while the index loads
+    if (cancelledSearches.has(message.id)) {
+      return;
+    }
+    self.postMessage({
+      type: "results",
+      id: message.id,
+      items: fuseSearch(message.query, fuse, message.options),
+    });
+  } catch (error) {
+    self.postMessage({
+      type: "error",
+      id: message.id,
+      message: error.message,
+    });
+  } finally {
+    pendingSearches.delete(message.id);
+    cancelledSearches.delete(message.id);
+  }
+}
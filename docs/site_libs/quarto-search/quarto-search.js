@@ -8,7 +8,7 @@ const kResultsArg = "show-results";
 // item is a more item (along with the type) and can be handled appropriately
 const kItemTypeMoreHref = "0767FDFD-0422-4E5A-BC8A-3BE11E5BBA05";
 
-window.document.addEventListener("DOMContentLoaded", function (_event) {
+function initializeSearch(_event) {
   // Ensure that search is available on this page. If it isn't,
   // should return early and not do anything
   var searchEl = window.document.getElementById("quarto-search");
@@ -44,8 +44,14 @@ window.document.addEventListener("DOMContentLoaded", function (_event) {
 
   // highlight matches on the page
   if (query !== null && mainEl) {
-    // perform any highlighting
-    highlight(query, mainEl);
+    // perform any highlighting, which is kept (and can be stepped
+    // through) until the reader dismisses the match navigator
+    const marks = highlight(query, mainEl);
+    if (marks.length > 0) {
+      showMatchNavigator(marks, () => {
+        clearHighlight(mainEl);
+      });
+    }
 
     // fix up the URL to remove the q query param
     const replacementUrl = new URL(window.location);
@@ -53,28 +59,6 @@ window.document.addEventListener("DOMContentLoaded", function (_event) {
     window.history.replaceState({}, "", replacementUrl);
   }
 
-  // function to clear highlighting on the page when the search query changes
-  // (e.g. if the user edits the query or clears it)
-  let highlighting = true;
-  const resetHighlighting = (searchTerm) => {
-    if (mainEl && highlighting && query !== null && searchTerm !== query) {
-      clearHighlight(query, mainEl);
-      highlighting = false;
-    }
-  };
-
-  // Clear search highlighting when the user scrolls sufficiently
-  const resetFn = () => {
-    resetHighlighting("");
-    window.removeEventListener("quarto-hrChanged", resetFn);
-    window.removeEventListener("quarto-sectionChanged", resetFn);
-  };
-
-  // Register this event after the initial scrolling and settling of events
-  // on the page
-  window.addEventListener("quarto-hrChanged", resetFn);
-  window.addEventListener("quarto-sectionChanged", resetFn);
-
   // Responsively switch to overlay mode if the search is present on the navbar
   // Note that switching the sidebar to overlay mode requires more coordinate (not just
   // the media query since we generate different HTML for sidebar overlays than we do
@@ -113,9 +97,6 @@ window.document.addEventListener("DOMContentLoaded", function (_event) {
       return item.href;
     },
     onStateChange({ state }) {
-      // Perhaps reset highlighting
-      resetHighlighting(state.query);
-
       // If the panel just opened, ensure the panel is positioned properly
       if (state.isOpen) {
         if (lastState && !lastState.isOpen) {
@@ -292,9 +273,7 @@ window.document.addEventListener("DOMContentLoaded", function (_event) {
                 limit: limit,
               };
 
-              return readSearchData().then(function (fuse) {
-                return fuseSearch(query, fuse, fuseSearchOptions);
-              });
+              return localSearch(query, fuseSearchOptions);
             }
           },
           templates: {
@@ -382,7 +361,28 @@ window.document.addEventListener("DOMContentLoaded", function (_event) {
     setIsOpen(true);
     focusSearchInput();
   }
-});
+
+  // Load the search index while the browser is idle, so it is
+  // ready by the time the first query is typed
+  if (!quartoSearchOptions.algolia) {
+    const whenIdle =
+      window.requestIdleCallback || ((callback) => setTimeout(callback, 1));
+    whenIdle(() => {
+      // The worker loads the index as soon as it starts
+      if (!getSearchWorker()) {
+        readSearchData().catch(() => {
+          // The index will be loaded again when searching
+        });
+      }
+    });
+  }
+}
+
+// quarto-search-worker.js loads this file for its search functions,
+// but there's no document (or search UI) to set up in a worker
+if (self.document) {
+  window.document.addEventListener("DOMContentLoaded", initializeSearch);
+}
 
 function configurePlugins(quartoSearchOptions) {
   const autocompletePlugins = [];
@@ -598,42 +598,240 @@ function showCopyLink(query, options) {
 }
 
 /* Search Index Handling */
+// A prebuilt index saves indexing search.json in the browser. It holds
+// the output of `Fuse.createIndex(keys, docs).toJSON()`, built from
+// search.json using the keys below by the project's post-render script
+// (if it is missing or out of date with search.json, the index is built
+// here instead)
+const kSearchIndexFile = "search-index.json";
+const kSearchKeys = [
+  { name: "title", weight: 20 },
+  { name: "section", weight: 20 },
+  { name: "text", weight: 10 },
+];
+
+// The site root, for the search worker (which has no meta tags to offset from)
+var searchSiteUrl = undefined;
+
 // create the index
 var fuseIndex = undefined;
+// the same index, searched with Fuse's extended search syntax
+var fuseExtendedIndex = undefined;
+var fuseDocs = undefined;
+var fuseIndexLoading = undefined;
 async function readSearchData() {
   // Initialize the search index on demand
   if (fuseIndex === undefined) {
-    // create fuse index
-    const options = {
-      keys: [
-        { name: "title", weight: 20 },
-        { name: "section", weight: 20 },
-        { name: "text", weight: 10 },
-      ],
-      ignoreLocation: true,
-      threshold: 0.1,
-    };
-    const fuse = new window.Fuse([], options);
+    // Share the index with any searches made while it is loading
+    if (fuseIndexLoading === undefined) {
+      fuseIndexLoading = loadSearchData().then(
+        (fuse) => {
+          fuseIndex = fuse;
+          return fuseIndex;
+        },
+        (error) => {
+          fuseIndexLoading = undefined;
+          throw error;
+        }
+      );
+    }
+    return fuseIndexLoading;
+  }
+  return fuseIndex;
+}
 
-    // fetch the main search.json
-    const response = await fetch(offsetURL("search.json"));
-    if (response.status == 200) {
-      return response.json().then(function (searchDocs) {
+async function loadSearchData() {
+  const options = {
+    keys: kSearchKeys,
+    ignoreLocation: true,
+    threshold: 0.1,
+  };
+
+  // fetch the main search.json (and the prebuilt index alongside it)
+  const [response, prebuiltIndex] = await Promise.all([
+    fetch(offsetURL("search.json")),
+    readPrebuiltIndex(),
+  ]);
+  if (response.status == 200) {
+    return response.json().then(function (searchDocs) {
+      let fuse = undefined;
+      const index = parsePrebuiltIndex(prebuiltIndex, searchDocs);
+      if (index) {
+        fuse = new self.Fuse(searchDocs, options, index);
+      } else {
+        // create fuse index
+        fuse = new self.Fuse([], options);
         searchDocs.forEach(function (searchDoc) {
           fuse.add(searchDoc);
         });
-        fuseIndex = fuse;
-        return fuseIndex;
-      });
-    } else {
-      return Promise.reject(
-        new Error(
-          "Unexpected status from search index request: " + response.status
-        )
+      }
+
+      // Advanced queries need extended search, which would change
+      // the meaning of plain queries, so search them separately
+      fuseExtendedIndex = new self.Fuse(
+        searchDocs,
+        { ...options, useExtendedSearch: true, includeScore: true },
+        fuse.getIndex()
       );
+      fuseDocs = searchDocs;
+      return fuse;
+    });
+  } else {
+    return Promise.reject(
+      new Error(
+        "Unexpected status from search index request: " + response.status
+      )
+    );
+  }
+}
+
+async function readPrebuiltIndex() {
+  try {
+    const response = await fetch(offsetURL(kSearchIndexFile));
+    if (response.status == 200) {
+      return await response.json();
     }
+  } catch {
+    // Sites without a prebuilt index build it from search.json
   }
-  return fuseIndex;
+  return undefined;
+}
+
+// Use the prebuilt index only if it was built with the same keys from the
+// same documents, since search results are read from search.json
+function parsePrebuiltIndex(data, searchDocs) {
+  if (
+    !data ||
+    !Array.isArray(data.keys) ||
+    !Array.isArray(data.records) ||
+    data.keys.length !== kSearchKeys.length ||
+    data.records.length !== searchDocs.length
+  ) {
+    return undefined;
+  }
+
+  const keyNames = kSearchKeys.map((key) => key.name);
+  const keysMatch = data.keys.every((key, i) => {
+    return (key.id || key) === keyNames[i];
+  });
+  const recordsMatch = data.records.every((record) => {
+    const searchDoc = searchDocs[record.i];
+    return (
+      searchDoc !== undefined &&
+      keyNames.every((keyName, i) => {
+        const value = record.$ && record.$[i] ? record.$[i].v : "";
+        const docValue = searchDoc[keyName] || "";
+        return value === docValue || (value === "" && !docValue.trim());
+      })
+    );
+  });
+  if (!keysMatch || !recordsMatch) {
+    return undefined;
+  }
+
+  try {
+    return self.Fuse.parseIndex(data);
+  } catch {
+    return undefined;
+  }
+}
+
+/* Search Worker */
+// Local searches run in quarto-search-worker.js, which is loaded from
+// alongside this script, to keep typing responsive. Workers can't be
+// started from file: urls, so searches run here instead.
+const kSearchWorkerFile = "quarto-search-worker.js";
+const searchScriptUrl =
+  self.document && self.document.currentScript
+    ? self.document.currentScript.src
+    : undefined;
+
+var searchWorker = undefined;
+var searchWorkerQueries = new Map();
+var lastSearchWorkerQueryId = 0;
+
+function getSearchWorker() {
+  if (searchWorker === undefined) {
+    searchWorker = createSearchWorker() || null;
+  }
+  return searchWorker;
+}
+
+function createSearchWorker() {
+  if (
+    !window.Worker ||
+    !searchScriptUrl ||
+    window.location.protocol === "file:"
+  ) {
+    return undefined;
+  }
+
+  let worker = undefined;
+  try {
+    worker = new window.Worker(new URL(kSearchWorkerFile, searchScriptUrl));
+  } catch {
+    return undefined;
+  }
+  worker.onmessage = (event) => {
+    const message = event.data;
+    const pending = searchWorkerQueries.get(message.id);
+    if (pending) {
+      searchWorkerQueries.delete(message.id);
+      if (message.type === "results") {
+        pending.resolve(message.items);
+      } else if (message.type === "error") {
+        pending.reject(new Error(message.message));
+      }
+    }
+  };
+  worker.onerror = (event) => {
+    // If the worker fails, search here from now on
+    event.preventDefault();
+    worker.terminate();
+    searchWorker = null;
+    const pendingQueries = [...searchWorkerQueries.values()];
+    searchWorkerQueries.clear();
+    for (const pending of pendingQueries) {
+      localSearch(pending.query, pending.options).then(
+        pending.resolve,
+        pending.reject
+      );
+    }
+  };
+
+  worker.postMessage({
+    type: "load",
+    siteUrl: new URL(offsetURL(""), window.location).href,
+  });
+  return worker;
+}
+
+// Search with the worker if there is one, otherwise on this thread
+function localSearch(query, options) {
+  const worker = getSearchWorker();
+  if (worker) {
+    return workerSearch(worker, query, options);
+  } else {
+    return readSearchData().then(function (fuse) {
+      return fuseSearch(query, fuse, options);
+    });
+  }
+}
+
+function workerSearch(worker, query, options) {
+  // Each query supersedes any that are still waiting for results
+  for (const [id, pending] of searchWorkerQueries) {
+    worker.postMessage({ type: "cancel", id });
+    pending.resolve([]);
+  }
+  searchWorkerQueries.clear();
+
+  lastSearchWorkerQueryId = lastSearchWorkerQueryId + 1;
+  const id = lastSearchWorkerQueryId;
+  return new Promise((resolve, reject) => {
+    searchWorkerQueries.set(id, { query, options, resolve, reject });
+    worker.postMessage({ type: "search", id, query, options });
+  });
 }
 
 function inputElement() {
@@ -872,29 +1070,35 @@ function positionPanel(pos) {
 
 /* Highlighting */
 // highlighting functions
+const kHighlightClass = "search-match";
+// Text that isn't shown, or is already highlighted
+const kHighlightSkipTags = ["SCRIPT", "STYLE", "NOSCRIPT", "TEXTAREA", "MARK"];
+
 function highlightMatch(query, text) {
   if (text) {
-    const start = text.toLowerCase().indexOf(query.toLowerCase());
+    // Clip the text around the first match of any term
+    const terms = queryTerms(query);
+    const lowerText = text.toLowerCase();
+    let start = -1;
+    for (const term of terms) {
+      const termStart = lowerText.indexOf(term.toLowerCase());
+      if (termStart !== -1 && (start === -1 || termStart < start)) {
+        start = termStart;
+      }
+    }
+
     if (start !== -1) {
-      const startMark = "<mark class='search-match'>";
+      const startMark = `<mark class='${kHighlightClass}'>`;
       const endMark = "</mark>";
 
-      const end = start + query.length;
-      text =
-        text.slice(0, start) +
-        startMark +
-        text.slice(start, end) +
-        endMark +
-        text.slice(end);
       const startInfo = clipStart(text, start);
-      const endInfo = clipEnd(
-        text,
-        startInfo.position + startMark.length + endMark.length
-      );
-      text =
-        startInfo.prefix +
-        text.slice(startInfo.position, endInfo.position) +
-        endInfo.suffix;
+      const endInfo = clipEnd(text, startInfo.position);
+      const clippedText = text
+        .slice(startInfo.position, endInfo.position)
+        .replace(termsRegex(terms), (match) => {
+          return startMark + match + endMark;
+        });
+      text = startInfo.prefix + clippedText + endInfo.suffix;
 
       return text;
     } else {
@@ -905,6 +1109,15 @@ function highlightMatch(query, text) {
   }
 }
 
+// A case insensitive regex matching any of the terms
+function termsRegex(terms) {
+  // Prefer the longest match where terms overlap
+  const patterns = [...terms]
+    .sort((a, b) => b.length - a.length)
+    .map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  return new RegExp(patterns.join("|"), "ig");
+}
+
 function clipStart(text, pos) {
   const clipStart = pos - 50;
   if (clipStart < 0) {
@@ -958,27 +1171,158 @@ function findSpace(text, start, step) {
   };
 }
 
-// removes highlighting as implemented by the mark tag
-function clearHighlight(searchterm, el) {
-  const childNodes = el.childNodes;
-  for (let i = childNodes.length - 1; i >= 0; i--) {
-    const node = childNodes[i];
-    if (node.nodeType === Node.ELEMENT_NODE) {
-      if (
-        node.tagName === "MARK" &&
-        node.innerText.toLowerCase() === searchterm.toLowerCase()
-      ) {
-        el.replaceChild(document.createTextNode(node.innerText), node);
-      } else {
-        clearHighlight(searchterm, node);
-      }
-    }
+// removes the highlighting added by highlight
+function clearHighlight(el) {
+  const parents = new Set();
+  for (const mark of el.querySelectorAll(`mark.${kHighlightClass}`)) {
+    parents.add(mark.parentNode);
+    mark.replaceWith(...mark.childNodes);
+  }
+
+  // join the text back together
+  for (const parent of parents) {
+    parent.normalize();
   }
 }
 
-// highlight matches
-function highlight(term, el) {
-  const termRegex = new RegExp(term, "ig");
+// highlight matches for each term of a query, returning the highlights
+function highlight(query, el) {
+  const terms = queryTerms(query);
+  if (terms.length > 0) {
+    highlightElement(termsRegex(terms), el);
+  }
+  return [...el.querySelectorAll(`mark.${kHighlightClass}`)];
+}
+
+// A floating "3 of 12" navigator for stepping through highlighted matches.
+// Use n for the next match, p or shift+n for the previous one and Escape
+// to dismiss it along with the highlights.
+const kMatchCurrentClass = "search-match-current";
+const kMatchScrollMargin = 16;
+
+function showMatchNavigator(marks, onDismiss) {
+  let current = -1;
+
+  const navigatorEl = document.createElement("div");
+  navigatorEl.id = "quarto-search-match-navigator";
+  navigatorEl.classList.add("quarto-search-match-navigator", "headroom-target");
+  navigatorEl.setAttribute("role", "region");
+  navigatorEl.setAttribute("aria-label", "Search matches");
+  const headerOffset = window.quartoHeaderOffset
+    ? window.quartoHeaderOffset()
+    : 0;
+  navigatorEl.style.top = `${headerOffset}px`;
+
+  const countEl = document.createElement("span");
+  countEl.classList.add("quarto-search-match-count");
+  countEl.setAttribute("aria-live", "polite");
+  const updateCount = () => {
+    countEl.textContent =
+      current === -1
+        ? `${marks.length} ${marks.length === 1 ? "match" : "matches"}`
+        : `${current + 1} of ${marks.length}`;
+  };
+  updateCount();
+
+  const showMatch = (index) => {
+    if (current !== -1) {
+      marks[current].classList.remove(kMatchCurrentClass);
+    }
+    current = index;
+    const mark = marks[current];
+    mark.classList.add(kMatchCurrentClass);
+    updateCount();
+
+    // Scroll the match to just below the header
+    const offset = window.quartoHeaderOffset ? window.quartoHeaderOffset() : 0;
+    const reduceMotion =
+      window.matchMedia !== undefined &&
+      window.matchMedia("(prefers-reduced-motion: reduce)").matches;
+    window.scrollTo({
+      top: Math.max(
+        mark.getBoundingClientRect().top +
+          window.pageYOffset -
+          offset -
+          kMatchScrollMargin,
+        0
+      ),
+      behavior: reduceMotion ? "auto" : "smooth",
+    });
+  };
+
+  // Start from the first match on screen, then wrap around
+  const firstVisibleMatch = () => {
+    const offset = window.quartoHeaderOffset ? window.quartoHeaderOffset() : 0;
+    const index = marks.findIndex((mark) => {
+      return mark.getBoundingClientRect().top >= offset;
+    });
+    return index === -1 ? 0 : index;
+  };
+  const showNext = () => {
+    showMatch(
+      current === -1 ? firstVisibleMatch() : (current + 1) % marks.length
+    );
+  };
+  const showPrevious = () => {
+    const index = current === -1 ? firstVisibleMatch() : current;
+    showMatch((index - 1 + marks.length) % marks.length);
+  };
+
+  const handleKeydown = (event) => {
+    const targetEl = event.target;
+    if (
+      event.defaultPrevented ||
+      event.altKey ||
+      event.ctrlKey ||
+      event.metaKey ||
+      targetEl.isContentEditable ||
+      ["INPUT", "TEXTAREA", "SELECT"].includes(targetEl.tagName)
+    ) {
+      return;
+    }
+
+    if (event.key === "n") {
+      showNext();
+    } else if (event.key === "p" || event.key === "N") {
+      showPrevious();
+    } else if (event.key === "Escape") {
+      dismiss();
+    } else {
+      return;
+    }
+    event.preventDefault();
+  };
+
+  const dismiss = () => {
+    window.document.removeEventListener("keydown", handleKeydown);
+    navigatorEl.remove();
+    onDismiss();
+  };
+
+  const makeButtonEl = (label, iconClass, onClick) => {
+    const buttonEl = document.createElement("button");
+    buttonEl.setAttribute("type", "button");
+    buttonEl.setAttribute("aria-label", label);
+    buttonEl.setAttribute("title", label);
+    buttonEl.classList.add("btn", "btn-sm");
+    const iconEl = document.createElement("i");
+    iconEl.classList.add("bi", iconClass);
+    buttonEl.appendChild(iconEl);
+    buttonEl.onclick = onClick;
+    return buttonEl;
+  };
+
+  navigatorEl.append(
+    countEl,
+    makeButtonEl("Previous match (p)", "bi-chevron-up", showPrevious),
+    makeButtonEl("Next match (n)", "bi-chevron-down", showNext),
+    makeButtonEl("Dismiss (Escape)", "bi-x-lg", dismiss)
+  );
+  window.document.body.appendChild(navigatorEl);
+  window.document.addEventListener("keydown", handleKeydown);
+}
+
+function highlightElement(termRegex, el) {
   const childNodes = el.childNodes;
 
   // walk back to front avoid mutating elements in front of us
@@ -990,38 +1334,37 @@ function highlight(term, el) {
       const text = node.nodeValue;
 
       let startIndex = 0;
-      let matchIndex = text.search(termRegex);
-      if (matchIndex > -1) {
-        const markFragment = document.createDocumentFragment();
-        while (matchIndex > -1) {
-          const prefix = text.slice(startIndex, matchIndex);
-          markFragment.appendChild(document.createTextNode(prefix));
-
-          const mark = document.createElement("mark");
-          mark.appendChild(
-            document.createTextNode(
-              text.slice(matchIndex, matchIndex + term.length)
-            )
-          );
-          markFragment.appendChild(mark);
+      let markFragment = undefined;
+      termRegex.lastIndex = 0;
+      let match = termRegex.exec(text);
+      while (match !== null) {
+        markFragment = markFragment || document.createDocumentFragment();
+        const prefix = text.slice(startIndex, match.index);
+        markFragment.appendChild(document.createTextNode(prefix));
+
+        const mark = document.createElement("mark");
+        mark.classList.add(kHighlightClass);
+        mark.appendChild(document.createTextNode(match[0]));
+        markFragment.appendChild(mark);
+
+        startIndex = match.index + match[0].length;
+        match = termRegex.exec(text);
+      }
 
-          startIndex = matchIndex + term.length;
-          matchIndex = text.slice(startIndex).search(new RegExp(term, "ig"));
-          if (matchIndex > -1) {
-            matchIndex = startIndex + matchIndex;
-          }
-        }
+      if (markFragment) {
         if (startIndex < text.length) {
           markFragment.appendChild(
             document.createTextNode(text.slice(startIndex, text.length))
           );
         }
-
         el.replaceChild(markFragment, node);
       }
-    } else if (node.nodeType === Node.ELEMENT_NODE) {
+    } else if (
+      node.nodeType === Node.ELEMENT_NODE &&
+      !kHighlightSkipTags.includes(node.tagName)
+    ) {
       // recurse through elements
-      highlight(term, node);
+      highlightElement(termRegex, node);
     }
   }
 }
@@ -1029,6 +1372,9 @@ function highlight(term, el) {
 /* Link Handling */
 // get the offset from this page for a given site root relative url
 function offsetURL(url) {
+  if (searchSiteUrl !== undefined) {
+    return new URL(url, searchSiteUrl).href;
+  }
   var offset = getMeta("quarto:offset");
   return offset ? offset + url : url;
 }
@@ -1103,8 +1449,145 @@ function algoliaSearch(query, limit, algoliaOptions) {
   });
 }
 
+/* Query Parsing */
+// Queries may use "exact phrases", -exclusions, field prefixes (title:
+// and section:) and OR between groups of terms. Queries that use none of
+// these are searched just as they are typed.
+const kQueryFields = {
+  title: "title",
+  section: "section",
+};
+const kQueryOr = ["OR", "|"];
+const kQueryTokenRegex = /(-?)(?:(title|section):)?(?:"([^"]*)"?|(\S+))/gi;
+
+function parseQuery(query) {
+  const groups = [[]];
+  let advanced = false;
+  for (const match of (query || "").matchAll(kQueryTokenRegex)) {
+    const [_token, sign, field, phrase, word] = match;
+    if (!sign && !field && phrase === undefined && kQueryOr.includes(word)) {
+      advanced = true;
+      if (groups[groups.length - 1].length > 0) {
+        groups.push([]);
+      }
+      continue;
+    }
+
+    // Quotes and bars have meaning to Fuse's extended search
+    const value = (phrase !== undefined ? phrase : word)
+      .replace(/["|]/g, " ")
+      .replace(/\s+/g, " ")
+      .trim();
+    if (value.length === 0) {
+      continue;
+    }
+
+    const clause = {
+      field: field ? field.toLowerCase() : undefined,
+      value,
+      phrase: phrase !== undefined,
+      exclude: sign === "-",
+    };
+    advanced = advanced || !!clause.field || clause.phrase || clause.exclude;
+    groups[groups.length - 1].push(clause);
+  }
+
+  return {
+    groups: groups.filter((group) => group.length > 0),
+    advanced,
+  };
+}
+
+// Compile the terms a group of a query looks for to a Fuse extended
+// search expression (every term must match in one of its keys)
+function compileQueryGroup(clauses) {
+  const keyNames = kSearchKeys.map((key) => key.name);
+  return {
+    $and: clauses.map((clause) => {
+      // Phrases must match exactly, other terms are fuzzy. Both are quoted
+      // so that leading !, ^, = or ' and trailing $ are searched literally
+      // rather than read as Fuse operators.
+      const pattern = clause.phrase
+        ? `'"${clause.value}"`
+        : `"${clause.value}"`;
+      const keys = clause.field ? [kQueryFields[clause.field]] : keyNames;
+      return {
+        $or: keys.map((key) => {
+          return { [key]: pattern };
+        }),
+      };
+    }),
+  };
+}
+
+// Whether a search document contains an (excluded) term in its keys
+function documentHasTerm(searchDoc, clause) {
+  const keyNames = clause.field
+    ? [kQueryFields[clause.field]]
+    : kSearchKeys.map((key) => key.name);
+  const value = clause.value.toLowerCase();
+  return keyNames.some((keyName) => {
+    const docValue = [].concat(searchDoc[keyName] || []).join(" ");
+    return docValue.toLowerCase().includes(value);
+  });
+}
+
+// Search each group of an advanced query, leaving out any results with
+// excluded terms. Fuse's inverse matching can't be used for exclusions
+// since it never matches documents that lack one of the keys.
+function searchParsedQuery(parsedQuery, fuseOptions) {
+  const matches = new Map();
+  for (const group of parsedQuery.groups) {
+    const included = group.filter((clause) => !clause.exclude);
+    const excluded = group.filter((clause) => clause.exclude);
+    const results =
+      included.length > 0
+        ? fuseExtendedIndex.search(compileQueryGroup(included))
+        : fuseDocs.map((item, refIndex) => {
+            return { item, refIndex, score: 1 };
+          });
+    for (const result of results) {
+      const isExcluded = excluded.some((clause) => {
+        return documentHasTerm(result.item, clause);
+      });
+      if (!isExcluded && !matches.has(result.refIndex)) {
+        matches.set(result.refIndex, result);
+      }
+    }
+  }
+
+  // Lower scores are better matches
+  const results = [...matches.values()].sort((a, b) => a.score - b.score);
+  return fuseOptions.limit > 0 ? results.slice(0, fuseOptions.limit) : results;
+}
+
+// The terms of a query to highlight, which are those it looks for in
+// the text (so not its exclusions)
+function queryTerms(query) {
+  const terms = [];
+  for (const group of parseQuery(query).groups) {
+    for (const clause of group) {
+      const isDuplicate = terms.some((term) => {
+        return term.toLowerCase() === clause.value.toLowerCase();
+      });
+      if (!clause.exclude && !isDuplicate) {
+        terms.push(clause.value);
+      }
+    }
+  }
+
+  // Single characters would highlight nearly everything
+  const longTerms = terms.filter((term) => term.length > 1);
+  return longTerms.length > 0 ? longTerms : terms;
+}
+
 function fuseSearch(query, fuse, fuseOptions) {
-  return fuse.search(query, fuseOptions).map((result) => {
+  const parsedQuery = parseQuery(query);
+  const results =
+    parsedQuery.advanced && fuseExtendedIndex && parsedQuery.groups.length > 0
+      ? searchParsedQuery(parsedQuery, fuseOptions)
+      : fuse.search(query, fuseOptions);
+  return results.map((result) => {
     const addParam = (url, name, value) => {
       const anchorParts = url.split("#");
       const baseUrl = anchorParts[0];
@@ -1116,7 +1599,7 @@ function fuseSearch(query, fuse, fuseOptions) {
     return {
       title: result.item.title,
       section: result.item.section,
-      href: addParam(result.item.href, kQueryArg, query),
+      href: addParam(result.item.href, kQueryArg, encodeURIComponent(query)),
       text: highlightMatch(query, result.item.text),
     };
   });
@@ -0,0 +1,32 @@
+// Writes search-index.json next to search.json after each render. It is
+// the prebuilt Fuse index that quarto-search.js loads so that readers'
+// browsers don't have to index search.json themselves.
+//
+// The keys must match kSearchKeys in quarto-search.js (the index is
+// ignored if they don't).
+const kSearchKeys = [
+  { name: "title", weight: 20 },
+  { name: "section", weight: 20 },
+  { name: "text", weight: 10 },
+];
+
+const outputDir = Deno.env.get("QUARTO_PROJECT_OUTPUT_DIR") || "docs";
+
+// Use the same copy of Fuse that the site searches with
+await import(
+  new URL(
+    `${outputDir}/site_libs/quarto-search/fuse.min.js`,
+    `file://${Deno.cwd()}/`
+  ).href
+);
+// deno-lint-ignore no-explicit-any
+const Fuse = (globalThis as any).Fuse;
+
+const searchDocs = JSON.parse(
+  await Deno.readTextFile(`${outputDir}/search.json`)
+);
+const index = Fuse.createIndex(kSearchKeys, searchDocs);
+await Deno.writeTextFile(
+  `${outputDir}/search-index.json`,
+  JSON.stringify(index.toJSON())
+);